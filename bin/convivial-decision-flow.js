@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const { parse } = require('node-html-parser');
+const { ConvivialDecisionFlow } = require('../convivial_decision_flow.js');
+const { lintHtml } = require('../lib/lint.js');
+
+const USAGE = `Usage: convivial-decision-flow <command> [options] <file...>
+
+Commands:
+  lint <file...>      Check the convivial decision flows of HTML pages.
+  graph <file>        Export the step graph of a flow.
+
+Lint options:
+  --format <format>   Output format: "human" (default) or "json".
+  --vars <names>      Comma-separated variables set by the page's scripts.
+  --show <names>      Comma-separated custom data-df-show functions.
+  --filters <names>   Comma-separated custom data-df-filter functions.
+  --strict            Exit with an error on warnings as well.
+
+Graph options:
+  --format <format>   Output format: "mermaid" (default), "dot" or "json".
+  --flow <id>         The flow to export, required when the page has several.
+
+  --help              Show this help.
+
+Exit codes: 0 on success, 1 when lint finds problems, 2 on usage errors.`;
+
+/**
+ * Output formats of every command, the first one is the default.
+ */
+const FORMATS = {
+  lint: ['human', 'json'],
+  graph: Object.keys(ConvivialDecisionFlow.graphFormats)
+};
+
+/**
+ * Parse the command-line arguments.
+ * @param {string} command - The command name.
+ * @param {Array} args - The arguments after the command name.
+ * @returns {Object} - The options and files.
+ * @throws {Error} - If an argument is invalid.
+ */
+function parseArguments(command, args) {
+  const options = { format: FORMATS[command][0], vars: [], shows: [], filters: [], flow: null, strict: false, help: false, files: [] };
+  const list = value => value.split(',').map(name => name.trim()).filter(Boolean);
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].startsWith('--') ? args[i].split(/=(.*)/s) : [args[i]];
+    const value = () => {
+      const next = inline !== undefined ? inline : args[++i];
+      if (next === undefined) {
+        throw new Error(`Option ${flag} needs a value.`);
+      }
+      return next;
+    };
+
+    switch (flag) {
+      case '--format':
+        options.format = value();
+        if (!FORMATS[command].includes(options.format)) {
+          throw new Error(`Unknown format "${options.format}".`);
+        }
+        break;
+      case '--vars':
+        options.vars.push(...list(value()));
+        break;
+      case '--show':
+        options.shows.push(...list(value()));
+        break;
+      case '--filters':
+        options.filters.push(...list(value()));
+        break;
+      case '--flow':
+        options.flow = value();
+        break;
+      case '--strict':
+        options.strict = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (flag.startsWith('-')) {
+          throw new Error(`Unknown option ${flag}.`);
+        }
+        options.files.push(flag);
+    }
+  }
+  return options;
+}
+
+/**
+ * Format the problems for people reading a terminal.
+ * @param {Array} results - The files with their problems.
+ * @returns {string} - The report.
+ */
+function formatHuman(results) {
+  const lines = [];
+  let errors = 0;
+  let warnings = 0;
+
+  results.forEach(({ file, problems }) => {
+    if (!problems.length) {
+      return;
+    }
+    lines.push(file);
+    problems.forEach((problem) => {
+      const location = problem.line ? `${problem.line}:${problem.column}` : '-';
+      lines.push(`  ${location.padEnd(8)} ${problem.severity.padEnd(7)}  ${problem.message}  ${problem.rule}`);
+      if (problem.severity === 'error') {
+        errors++;
+      } else {
+        warnings++;
+      }
+    });
+    lines.push('');
+  });
+
+  const total = errors + warnings;
+  lines.push(total ? `${total} problem${total === 1 ? '' : 's'} (${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'})` : 'No problems found.');
+  return lines.join('\n');
+}
+
+/**
+ * Read the files to process.
+ * @param {Array} files - The file paths.
+ * @returns {Array} - The files with their path and HTML.
+ * @throws {Error} - If a file cannot be read.
+ */
+function readFiles(files) {
+  return files.map((file) => {
+    try {
+      return { file, html: fs.readFileSync(file, 'utf8') };
+    } catch (e) {
+      throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Lint the files.
+ * @param {Object} options - The parsed arguments.
+ * @returns {number} - The exit code.
+ */
+function lint(options) {
+  const results = readFiles(options.files).map(({ file, html }) => ({ file, problems: lintHtml(html, options) }));
+
+  console.log(options.format === 'json' ? JSON.stringify(results, null, 2) : formatHuman(results));
+
+  const failing = results.some(({ problems }) => problems.some(problem => options.strict || problem.severity === 'error'));
+  return failing ? 1 : 0;
+}
+
+/**
+ * Export the step graph of a flow.
+ * @param {Object} options - The parsed arguments.
+ * @returns {number} - The exit code.
+ * @throws {Error} - If the flow cannot be found.
+ */
+function graph(options) {
+  if (options.files.length > 1) {
+    throw new Error('Export the graph of one file at a time.');
+  }
+  const [{ file, html }] = readFiles(options.files);
+  const flows = parse(html).querySelectorAll('.convivial-decision-flow');
+  const ids = flows.map(flow => flow.getAttribute('id')).filter(Boolean);
+
+  let flow;
+  if (options.flow) {
+    flow = flows.find(candidate => candidate.getAttribute('id') === options.flow);
+    if (!flow) {
+      throw new Error(`Flow "${options.flow}" not found in ${file}, available flows: ${ids.join(', ') || 'none'}.`);
+    }
+  } else if (flows.length === 1) {
+    flow = flows[0];
+  } else {
+    throw new Error(flows.length ? `${file} contains several flows, pick one with --flow: ${ids.join(', ')}.` : `No convivial decision flow found in ${file}.`);
+  }
+
+  process.stdout.write(ConvivialDecisionFlow.exportGraph(flow, options.format));
+  return 0;
+}
+
+/**
+ * Run a command.
+ * @param {Array} args - The command-line arguments.
+ * @returns {number} - The exit code.
+ */
+function main(args) {
+  const [command, ...rest] = args;
+  try {
+    if (command === '--help' || command === '-h') {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!Object.keys(FORMATS).includes(command)) {
+      throw new Error(command ? `Unknown command "${command}".` : 'Missing command.');
+    }
+    const options = parseArguments(command, rest);
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!options.files.length) {
+      throw new Error('Missing file.');
+    }
+    return command === 'lint' ? lint(options) : graph(options);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
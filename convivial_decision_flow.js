@@ -3,64 +3,653 @@ class ConvivialDecisionFlow {
 
   /**
    * Convivial Decision Flow constructor.
-   * 
-   * @param {Storage} storage - The storage object to use for storing data.
+   *
+   * Either pass the DOM element and an options object, e.g.
+   * new ConvivialDecisionFlow(el, { storage: 'session' }), or the storage, the ID and the DOM element.
+   *
+   * @param {Storage|Object|string|HTMLElement} storage - The storage to use for storing data: a Web Storage object,
+   *   a storage adapter or the name of a built-in adapter ('local', 'session' or 'memory').
+   *   Or the DOM element, followed by the options.
    * @param {string} id - The ID of the convivial decision flow.
    * @param {HTMLElement} domElement - The DOM element of the convivial decision flow.
-   * @throws {Error} - If the HTML structure is incorrect.
+   * @param {Object} [options] - Additional options.
+   * @param {Storage|Object|string} [options.storage] - The storage when the DOM element comes first, defaults to 'local'.
+   * @param {string} [options.id] - The ID when the DOM element comes first, defaults to the ID of the element.
+   * @param {Object} [options.selectors] - Selectors of the flow markup, see ConvivialDecisionFlow.defaultSelectors.
+   * @param {Object|string} [options.definition] - A JSON flow definition to render into the DOM element.
+   * @param {string|Function|Array} [options.analytics] - Analytics provider name(s) or callback(s), defaults to 'auto'.
+   * @param {string|boolean} [options.history] - Sync the active step with the URL: 'hash', 'query' or false (default).
+   * @param {Object} [options.cookie] - Cookie settings: days, path, domain, sameSite and secure.
+   * @param {boolean|Function|Object} [options.consent] - Wait for consent before writing cookies and storage: a callback
+   *   getting the kind of write ('cookie' or 'storage') and returning whether it is allowed, or { granted, event, mode },
+   *   where event is a window event granting consent and mode is 'hold' (default) or 'drop'. See grantConsent().
+   * @param {boolean|Object} [options.keyboard] - Enable keyboard shortcuts, pass { back, restart } to change their keys.
+   * @param {string|number} [options.version] - The flow version stored with the state, defaults to data-df-version or a hash of the flow.
+   * @param {Array} [options.migrations] - Migrations of stored state between flow versions: { from, to, migrate(state) }.
+   * @param {string|Function} [options.onVersionChange] - What to do with stored state of another version that no migration
+   *   handles: 'reset' (default), 'keep', or a function returning the state to use.
+   * @param {number} [options.ttl] - Discard stored state that has not changed for this many milliseconds.
+   * @param {string|boolean} [options.change] - Change buttons in summaries: 'ask' (default) lets users choose whether to
+   *   skip the steps they already answered, 'summary' always skips them, 'rewalk' never does, false hides the buttons.
+   * @param {Object|string} [options.submit] - The URL to submit the results to, or { url, method, headers, credentials,
+   *   retries, retryDelay, timeout }, see submitResults().
+   * @param {Array} [options.variables] - Variables set by the page's scripts, which a shared state URL may contain.
+   * @param {string} [options.locale] - The locale of the built-in texts and formatting, defaults to the lang attribute.
+   * @param {Object} [options.messages] - Built-in texts to override, see ConvivialDecisionFlow.messages.
+   * @param {boolean|string} [options.transition] - Animate step changes with the "df-" CSS classes, or pass another class prefix.
+   * @param {boolean|Object} [options.scroll] - Scroll the new step into view, pass scrollIntoView() options to change how.
+   * @throws {Error} - If the HTML structure is incorrect or the element already has a decision flow.
    */
-  constructor(storage, id, domElement) {
-    this.storage = storage;
+  constructor(storage, id, domElement, options = {}) {
+    if (storage && storage.nodeType === 1) {
+      options = id || {};
+      domElement = storage;
+      storage = options.storage || 'local';
+      id = options.id || domElement.id;
+    }
+    if (ConvivialDecisionFlow.instances.has(domElement)) {
+      throw new Error('Convivial decision flow with ID ' + id + ' is already initialized, destroy() it first.');
+    }
+
+    this.storage = this._resolveStorage(storage);
     this.id = id;
     this.domElement = domElement;
+    this.options = options;
+    this.selectors = { ...ConvivialDecisionFlow.defaultSelectors, ...options.selectors };
+    this.locale = this._resolveLocale(options.locale);
+    if (options.locale && !domElement.hasAttribute('dir')) {
+      domElement.setAttribute('dir', this._direction());
+    }
+
+    // Every listener is removed at once by destroy().
+    this.listeners = new AbortController();
+    this.destroyed = false;
+
+    // The running step transitions and the direction of the last move, 'forward' or 'back'.
+    this.transition = null;
+    this.direction = 'forward';
+
+    // The running flush of the submission queue, see flushSubmissions(), the last change of the queue
+    // and the timer of the next retry.
+    this.flushing = null;
+    this.queueUpdate = null;
+    this.retryTimer = null;
+
+    // The texts and attributes with placeholders, found when they are first rendered.
+    this.templates = null;
+
+    // The cookie and storage writes waiting for consent, by what they write, see grantConsent().
+    this.heldWrites = new Map();
+    this.consentGranted = false;
+
+    // The submissions not sent yet, see flushSubmissions().
+    this.submissionQueue = null;
+
+    // The last stored state and when it changed, see _saveStorage().
+    this.stored = null;
 
     this.functions = {}; // Dictionary to store custom functions
 
+    const definition = options.definition || this._findDefinition();
+    if (definition) {
+      this._renderDefinition(definition);
+    }
+
     this._validation(id);
 
+    // The engine runs the flow, this class renders it in the DOM.
+    this.model = ConvivialDecisionFlow.buildModel(domElement, this.selectors);
+    this.engine = new ConvivialDecisionFlowEngine(this.model, { functions: this.functions });
+    this.version = String(options.version ?? domElement.getAttribute('data-df-version') ?? this._flowHash());
+
     const steps = this._loadSteps(id);
     if (Array.isArray(steps)) {
       this.config = { id, steps };
       if (!this._isStorageAvailable()) {
-        return;
+        console.warn('Convivial decision flow with ID ' + id + ' falls back to memory storage, progress will not be kept.');
+        this.storage = new ConvivialDecisionFlowMemoryStorage();
       }
 
-      this.storageData = this._loadStorage(id);
+      const storageData = this._loadStorage(id);
+      if (storageData && typeof storageData.then === 'function') {
+        // Start from an empty state until the asynchronous storage resolves, and keep it if loading fails.
+        this.storageData = this._normalizeStorage({});
+        this.ready = storageData.then((data) => {
+          this.storageData = data;
+        }, (e) => {
+          console.warn('Cannot load convivial decision flow with ID ' + id + ' from storage, starting from the first step.', e);
+        });
+      } else {
+        this.storageData = storageData;
+        this.ready = null;
+      }
       this._defineDefaultFunctions();
+      ConvivialDecisionFlow.instances.set(domElement, this);
 
-      // Set up delayed initialization
-      window.addEventListener('load', () => {
-        this.activate();
-        this.initializeForms();
-        this._initializeFunctionCalls();
-      });
+      const { signal } = this.listeners;
+
+      // Set up delayed initialization, flows created after the page has loaded start right away.
+      const start = () => {
+        this._whenReady(() => {
+          if (this.destroyed) {
+            return;
+          }
+          this.activate();
+          this.initializeForms();
+          this._initializeFunctionCalls();
+          // Send what an earlier visit could not.
+          this.flushSubmissions();
+        });
+      };
+      if (document.readyState === 'complete') {
+        setTimeout(start);
+      } else {
+        window.addEventListener('load', start, { signal });
+      }
+
+      if (this._submitSettings()) {
+        window.addEventListener('online', () => this.flushSubmissions(), { signal });
+      }
+
+      const consent = this._consentSettings();
+      if (consent && consent.event) {
+        window.addEventListener(consent.event, () => this.grantConsent(), { signal });
+      }
 
-      document.querySelectorAll('#' + id + ' .step .step__answer').forEach((answer) => {
-        if (answer.hasAttribute('href')) {
+      if (this.options.history) {
+        this._onPopState = this._onPopState.bind(this);
+        window.addEventListener('popstate', this._onPopState, { signal });
+      }
+
+      this._answerElements().forEach((answer) => {
+        if (answer.hasAttribute('href') || answer.hasAttribute('data-df-route')) {
           answer.addEventListener('click', (event) => {
             event.preventDefault();
+            // Answers chosen before the stored state has loaded would be lost.
+            if (!this._isActive()) {
+              return;
+            }
             // Mark the selected answer
-            document.querySelectorAll('#' + id + ' .step .step__answer').forEach(a => a.removeAttribute('data-selected'));
-            answer.setAttribute('data-selected', 'true');
+            this._answerElements().forEach(a => a.removeAttribute('aria-current'));
+            answer.setAttribute('aria-current', 'true');
 
             this.filter();
-            this.trackAnswer(answer.attributes.href.value.replace('#', ''), answer.hasAttribute('data-answer-path') ? answer.attributes['data-answer-path'].value : false);
-          });
+            this.trackAnswer((answer.getAttribute('href') || '').replace('#', ''), answer.hasAttribute('data-answer-path') ? answer.attributes['data-answer-path'].value : false);
+          }, { signal });
+          this._makeOperable(answer);
         }
       }, this);
+
+      if (this.options.keyboard) {
+        this.domElement.addEventListener('keydown', event => this._onKeyDown(event), { signal });
+      }
     } else {
       throw new Error('Please follow proper HTML structure.');
     }
   }
 
+  /**
+   * Stop the flow: remove its event listeners and release the DOM element.
+   *
+   * The markup and the stored progress are kept, a new instance can take over the element.
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+    this.listeners.abort();
+    clearTimeout(this.retryTimer);
+    this.domElement.classList.remove('df-initialized');
+    if (ConvivialDecisionFlow.instances.get(this.domElement) === this) {
+      ConvivialDecisionFlow.instances.delete(this.domElement);
+    }
+  }
+
+  /**
+   * Check whether the flow has been activated, which waits for the storage to load.
+   * @returns {boolean} - Whether the flow is active.
+   */
+  _isActive() {
+    return this.domElement.classList.contains('df-initialized');
+  }
+
+  /**
+   * Find the step elements of this flow.
+   * @returns {Array} - The step elements.
+   */
+  _stepElements() {
+    return Array.from(this.domElement.querySelectorAll(this.selectors.step));
+  }
+
+  /**
+   * Find a step element of this flow by its ID.
+   *
+   * Compares the IDs instead of building a selector, so IDs need no CSS escaping.
+   * @param {string} stepId - The step ID.
+   * @returns {HTMLElement|null} - The step element.
+   */
+  _stepElement(stepId) {
+    return this._stepElements().find(el => el.id === stepId) || null;
+  }
+
+  /**
+   * Find the answer elements of this flow, or of one of its steps.
+   * @param {HTMLElement} [stepElement] - The step element.
+   * @returns {Array} - The answer elements.
+   */
+  _answerElements(stepElement) {
+    const steps = stepElement ? [stepElement] : this._stepElements();
+    return steps.reduce((answers, el) => answers.concat(Array.from(el.querySelectorAll(this.selectors.answer))), []);
+  }
+
+  /**
+   * Let answers that are neither links nor buttons be reached and chosen with the keyboard.
+   * @param {HTMLElement} answer - The answer element.
+   */
+  _makeOperable(answer) {
+    if (answer.matches('a[href], button, input')) {
+      return;
+    }
+    if (!answer.hasAttribute('role')) {
+      answer.setAttribute('role', 'button');
+    }
+    if (!answer.hasAttribute('tabindex')) {
+      answer.setAttribute('tabindex', '0');
+    }
+    answer.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        answer.click();
+      }
+    }, { signal: this.listeners.signal });
+  }
+
+  /**
+   * The keys of the keyboard shortcuts.
+   * @returns {Object} - The back and restart keys.
+   */
+  _shortcuts() {
+    return { back: 'b', restart: 'r', ...(typeof this.options.keyboard === 'object' ? this.options.keyboard : {}) };
+  }
+
+  /**
+   * Handle the keyboard shortcuts: 1 to 9 choose an answer of the active step, the back and restart keys press the buttons.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  _onKeyDown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || !this._isActive()) {
+      return;
+    }
+    // Leave typing in form fields alone.
+    if (event.target.closest && (event.target.closest('input, select, textarea') || event.target.isContentEditable)) {
+      return;
+    }
+
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const shortcuts = this._shortcuts();
+    if (key === shortcuts.back) {
+      event.preventDefault();
+      this.trackBackButton();
+    } else if (key === shortcuts.restart) {
+      event.preventDefault();
+      this.trackRestartButton();
+    } else if (/^[1-9]$/.test(key)) {
+      const active = this.engine.activeStep(this.storageData);
+      const stepElement = active ? this._stepElement(active.stepID) : null;
+      const answers = stepElement ? this._answerElements(stepElement).filter(answer => !this._isHidden(answer, stepElement)) : [];
+      const answer = answers[Number(key) - 1];
+      if (answer) {
+        event.preventDefault();
+        answer.click();
+      }
+    }
+  }
+
+  /**
+   * Check if an element is hidden, e.g. by a data-df-filter condition.
+   * @param {HTMLElement} el - The element.
+   * @param {HTMLElement} container - The element to stop looking at.
+   * @returns {boolean} - Whether the element or one of its ancestors within the container is hidden.
+   */
+  _isHidden(el, container) {
+    for (let node = el; node && node !== container; node = node.parentElement) {
+      if (node.style.display === 'none') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Move the focus to the heading of the active step and announce it, after the user has moved to it.
+   */
+  _focusActiveStep() {
+    const active = this.engine.activeStep(this.storageData);
+    const stepElement = active ? this._stepElement(active.stepID) : null;
+    if (!stepElement) {
+      return;
+    }
+
+    const heading = stepElement.querySelector(this.selectors.heading) || stepElement;
+    if (!heading.hasAttribute('tabindex')) {
+      heading.setAttribute('tabindex', '-1');
+    }
+    heading.focus({ preventScroll: !!this.options.scroll });
+    if (this.options.scroll) {
+      this._scrollIntoView(stepElement);
+    }
+
+    // Announce the heading and the question, once each.
+    const texts = [heading, stepElement.querySelector(this.selectors.question)]
+      .filter(Boolean)
+      .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+      .filter((text, index, all) => text && all.indexOf(text) === index);
+    this._announce(texts.join('. '));
+  }
+
+  /**
+   * Scroll a step into view, unless its top is visible already.
+   * @param {HTMLElement} stepElement - The step element.
+   */
+  _scrollIntoView(stepElement) {
+    const top = stepElement.getBoundingClientRect().top;
+    if (top >= 0 && top < window.innerHeight) {
+      return;
+    }
+    const options = { block: 'start', ...(typeof this.options.scroll === 'object' ? this.options.scroll : {}) };
+    options.behavior = this._reducedMotion() ? 'auto' : options.behavior || 'smooth';
+    stepElement.scrollIntoView(options);
+  }
+
+  /**
+   * Check if the user prefers reduced motion.
+   * @returns {boolean} - Whether animations should be avoided.
+   */
+  _reducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * The class prefix of the step transitions.
+   * @returns {string|null} - The prefix, or null when steps change without a transition.
+   */
+  _transitionName() {
+    const option = this.options.transition;
+    // The first step appears without a transition when the flow is activated.
+    if (!option || !this._isActive() || this._reducedMotion()) {
+      return null;
+    }
+    return option === true ? 'df' : option;
+  }
+
+  /**
+   * Hide or show a step, with a transition when they are enabled.
+   *
+   * The step gets the "<prefix>-enter-from" (or "-leave-from") and "-active" classes, which are
+   * swapped for "-to" on the next frame and removed when the transition ends. The flow element's
+   * data-df-direction tells forward and back moves apart. Transitions run one after the other,
+   * so a leaving step is hidden before the next one enters.
+   * @param {HTMLElement|null} el - The step element.
+   * @param {string} type - 'enter' or 'leave'.
+   */
+  _transition(el, type) {
+    const name = this._transitionName();
+    if (!name || !el) {
+      if (type === 'enter') {
+        this.show(el);
+      } else {
+        this.hide(el);
+      }
+      return;
+    }
+
+    const direction = this.direction;
+    const run = () => {
+      if (this.destroyed) {
+        return;
+      }
+      this.domElement.setAttribute('data-df-direction', direction);
+      if (type === 'enter') {
+        this.show(el);
+      }
+      el.classList.add(`${name}-${type}-from`, `${name}-${type}-active`);
+      // Apply the start state before moving to the end state.
+      void el.offsetWidth;
+      el.classList.remove(`${name}-${type}-from`);
+      el.classList.add(`${name}-${type}-to`);
+      return this._transitionEnd(el).then(() => {
+        el.classList.remove(`${name}-${type}-active`, `${name}-${type}-to`);
+        if (type === 'leave') {
+          this.hide(el);
+        }
+      });
+    };
+
+    const transition = (this.transition || Promise.resolve()).then(run);
+    this.transition = transition;
+    transition.then(() => {
+      if (this.transition === transition) {
+        this.transition = null;
+      }
+    });
+  }
+
+  /**
+   * Wait for the CSS transition or animation of an element to end.
+   * @param {HTMLElement} el - The element.
+   * @returns {Promise} - Resolves when the transition has ended.
+   */
+  _transitionEnd(el) {
+    const style = window.getComputedStyle(el);
+    const milliseconds = value => parseFloat(value) * (value.trim().endsWith('ms') ? 1 : 1000) || 0;
+    const longest = (durations = '', delays = '') => {
+      const delayList = delays.split(',');
+      return Math.max(0, ...durations.split(',').map((duration, i) => milliseconds(duration) + milliseconds(delayList[i] || delayList[0] || '0s')));
+    };
+    const timeout = Math.max(longest(style.transitionDuration, style.transitionDelay), longest(style.animationDuration, style.animationDelay));
+    if (!timeout) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const listeners = new AbortController();
+      let timer = null;
+      const done = (event) => {
+        if (event && event.target !== el) {
+          return;
+        }
+        listeners.abort();
+        clearTimeout(timer);
+        resolve();
+      };
+      el.addEventListener('transitionend', done, { signal: listeners.signal });
+      el.addEventListener('animationend', done, { signal: listeners.signal });
+      // No end event fires when nothing changes, so stop waiting after the duration.
+      timer = setTimeout(done, timeout + 50);
+    });
+  }
+
+  /**
+   * Run a callback once the running step transitions have ended.
+   * @param {Function} callback - The callback.
+   */
+  _afterTransition(callback) {
+    if (this.transition) {
+      this.transition.then(callback);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * Announce a message to screen reader users through the live region of the flow.
+   * @param {string} message - The message.
+   */
+  _announce(message) {
+    const status = this.domElement.querySelector('.convivial-decision-flow__status');
+    if (status) {
+      status.textContent = message;
+    }
+  }
+
   /**
   * Capitalize the first letter of a string.
   * @param {string} string - The string to capitalize.
-  * @returns {string} - The string with the first letter capitalized.
+  * @returns {string} - The string with the first letter capitalized, following the casing rules of the locale.
   */
   _capitalizeFirstLetter(string) {
     if (typeof string !== 'string') return '';
-    return string.charAt(0).toUpperCase() + string.slice(1);
+    // Split by code point, so letters outside the Basic Multilingual Plane stay whole.
+    const [first = '', ...rest] = Array.from(string);
+    return first.toLocaleUpperCase(this.locale) + rest.join('');
+  }
+
+  /**
+   * Resolve the locale of the flow.
+   * @param {string} [locale] - The locale option.
+   * @returns {string} - A valid BCP 47 language tag, 'en' if there is none.
+   */
+  _resolveLocale(locale) {
+    const lang = this.domElement.closest('[lang]');
+    try {
+      return Intl.getCanonicalLocales(locale || (lang && lang.getAttribute('lang')) || 'en')[0] || 'en';
+    } catch (e) {
+      console.warn('Convivial decision flow with ID ' + this.id + ' has an invalid locale, falling back to English.');
+      return 'en';
+    }
+  }
+
+  /**
+   * The writing direction of the locale.
+   * @returns {string} - 'rtl' or 'ltr'.
+   */
+  _direction() {
+    const language = this.locale.split('-')[0];
+    return ['ar', 'ckb', 'dv', 'fa', 'he', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'].includes(language) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Get a built-in text in the locale of the flow.
+   *
+   * Looks in the messages option, then in ConvivialDecisionFlow.messages for the locale,
+   * its language and English. Placeholders like {total} are replaced with the params,
+   * numbers are formatted for the locale.
+   * @param {string} key - The message key.
+   * @param {Object} [params] - The placeholder values.
+   * @returns {string} - The text.
+   */
+  message(key, params = {}) {
+    const catalogues = [this.options.messages, ...[this.locale, this.locale.split('-')[0], 'en'].map(locale => ConvivialDecisionFlow.messages[locale])];
+    const catalogue = catalogues.find(candidate => candidate && typeof candidate[key] === 'string');
+    if (!catalogue) {
+      console.warn(`Message "${key}" not found in convivial decision flow with ID ${this.id}.`);
+      return key;
+    }
+    return catalogue[key].replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) {
+        return placeholder;
+      }
+      return typeof params[name] === 'number' ? new Intl.NumberFormat(this.locale).format(params[name]) : String(params[name]);
+    });
+  }
+
+  /**
+   * List the questions and answers of the history.
+   * @param {boolean} [editable] - Whether to add a change button to every answer, see changeAnswer().
+   * @returns {HTMLElement} - The definition list.
+   */
+  _historyList(editable = false) {
+    const dlElement = document.createElement('dl');
+
+    this.storageData.history.forEach((stepObj, index) => {
+      const { stepAnswer } = stepObj;
+      // The first step is entered before its question is recorded, so fall back to the markup.
+      const step = this.engine.step(stepObj.stepID);
+      const stepQuestion = stepObj.stepQuestion || (stepAnswer && step ? step.question || step.heading : '');
+
+      // The texts come from the markup and may contain placeholders.
+      if (stepQuestion) {
+        const dtElement = document.createElement('dt');
+        dtElement.textContent = this.interpolate(stepQuestion);
+        dlElement.appendChild(dtElement);
+      }
+
+      if (stepAnswer) {
+        const ddElement = document.createElement('dd');
+        ddElement.textContent = this.interpolate(stepAnswer);
+        dlElement.appendChild(ddElement);
+        if (editable && index < this.storageData.history.length - 1) {
+          dlElement.appendChild(this._changeItem(stepObj.stepID, this.interpolate(stepQuestion || stepAnswer)));
+        }
+      }
+    });
+
+    return dlElement;
+  }
+
+  /**
+   * List the labels and values of the vars.
+   * @param {boolean} [editable] - Whether to add a change button to the values submitted by forms, see changeAnswer().
+   * @returns {HTMLElement|null} - The definition list, or null if there are no vars.
+   */
+  _submissionList(editable = false) {
+    const submissions = this.storageData.vars;
+    const keys = Object.keys(submissions).filter(key => !key.endsWith('_label'));
+    if (!keys.length) {
+      return null;
+    }
+
+    const dlElement = document.createElement('dl');
+    keys.forEach(key => {
+      const dtElement = document.createElement('dt');
+      dtElement.textContent = submissions[key + '_label'] || key;
+
+      const ddElement = document.createElement('dd');
+      ddElement.setAttribute('dir', 'auto');
+      ddElement.textContent = this._formatValue(submissions[key]);
+
+      dlElement.appendChild(dtElement);
+      dlElement.appendChild(ddElement);
+
+      // The form that submitted the value, the active step is changed as it is.
+      const history = this.storageData.history.slice(0, -1);
+      const entry = history.reverse().find(candidate => candidate.stepValues && key in candidate.stepValues);
+      if (editable && entry) {
+        dlElement.appendChild(this._changeItem(entry.stepID, dtElement.textContent));
+      }
+    });
+    return dlElement;
+  }
+
+  /**
+   * Create the change button of an answer in a summary.
+   * @param {string} stepId - The step of the answer.
+   * @param {string} label - The question or field the answer belongs to.
+   * @returns {HTMLElement} - The description holding the button.
+   */
+  _changeItem(stepId, label) {
+    const ddElement = document.createElement('dd');
+    ddElement.classList.add('convivial-decision-flow__change-action');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('step__button', 'step__button--change');
+    button.textContent = this.message('change');
+    button.setAttribute('aria-label', this.message('changeLabel', { question: label }));
+    button.addEventListener('click', () => this.changeAnswer(stepId), { signal: this.listeners.signal });
+    ddElement.appendChild(button);
+    return ddElement;
+  }
+
+  /**
+   * Create a heading for a built-in section.
+   * @param {string} key - The message key of the heading.
+   * @returns {HTMLElement} - The heading.
+   */
+  _heading(key) {
+    const heading = document.createElement('h3');
+    heading.textContent = this.message(key);
+    return heading;
   }
 
   /**
@@ -68,7 +657,7 @@ class ConvivialDecisionFlow {
  * @param {string} id - The ID of the convivial decision flow.
  */
   _validation(id) {
-    const steps = document.querySelector('#' + id).querySelectorAll('.step');
+    const steps = this._stepElements();
     steps.forEach((el) => {
       if (!el.hasAttribute('id')) {
         console.warn('One of your steps in convivial decision flow with ID ' + id + ' does not have ID element filled.');
@@ -76,14 +665,53 @@ class ConvivialDecisionFlow {
     });
 
     // Every answer must have href and should have a data-answer-path.
-    document.querySelector('#' + id).querySelectorAll('.step__answer').forEach((el) => {
-      if (!el.hasAttribute('href')) {
+    this._answerElements().forEach((el) => {
+      if (!el.hasAttribute('href') && !el.hasAttribute('data-df-route')) {
         console.warn('One of your answers in convivial decision flow id ' + id + ' does not have href filled.');
       }
       if (!el.hasAttribute('data-answer-path')) {
         console.warn('One of your answers in convivial decision flow id ' + id + ' does not have data-answer-path filled.');
       }
     });
+
+    // Router steps forward the user and need routing rules.
+    steps.filter(el => el.hasAttribute('data-df-router')).forEach((el) => {
+      if (!el.hasAttribute('data-df-route')) {
+        console.warn('Router step ' + el.id + ' in convivial decision flow id ' + id + ' does not have data-df-route filled.');
+      }
+    });
+  }
+
+  /**
+   * Find an inline JSON flow definition inside the DOM element.
+   * @returns {string|null} - The JSON definition or null if there is none.
+   */
+  _findDefinition() {
+    const script = this.domElement.querySelector('script.convivial-decision-flow__definition[type="application/json"]');
+    return script ? script.textContent : null;
+  }
+
+  /**
+   * Render a JSON flow definition into the steps markup.
+   * @param {Object|string} definition - The flow definition or its JSON string.
+   * @throws {Error} - If the definition structure is incorrect.
+   */
+  _renderDefinition(definition) {
+    const elements = ConvivialDecisionFlow.renderDefinition(definition, { id: this.id, next: this.message('next') });
+
+    // Rendered steps replace any steps already in the markup.
+    this._stepElements().forEach((el) => {
+      el.parentNode.removeChild(el);
+    });
+
+    const fragment = document.createDocumentFragment();
+    elements.forEach((el) => {
+      fragment.appendChild(el);
+    });
+
+    // Keep the footer last if the markup already provides one.
+    const footerElement = this.domElement.querySelector(':scope > .convivial-decision-flow__footer');
+    this.domElement.insertBefore(fragment, footerElement);
   }
 
   /**
@@ -126,65 +754,32 @@ class ConvivialDecisionFlow {
 
     this.functions.show = {};
     this.functions.filter = {};
+    this.filterCache = new WeakMap();
 
     this.functions.show.history = (context, el) => {
       const historyElement = el;
       if (this.storageData.history.length > 1 && historyElement) {
-        const dlElement = document.createElement('dl');
-
-        this.storageData.history.forEach(stepObj => {
-          const { stepQuestion, stepAnswer } = stepObj;
-
-          if (stepQuestion) {
-            const dtElement = document.createElement('dt');
-            dtElement.textContent = stepQuestion;
-            dlElement.appendChild(dtElement);
-          }
-
-          if (stepAnswer) {
-            const ddElement = document.createElement('dd');
-            ddElement.textContent = stepAnswer;
-            dlElement.appendChild(ddElement);
-          }
-        });
-
-        historyElement.innerHTML = '<h3>History</h3>';
-        historyElement.appendChild(dlElement);
+        historyElement.innerHTML = '';
+        historyElement.appendChild(this._heading('history'));
+        historyElement.appendChild(this._historyList(this._changeMode() !== false));
 
         historyElement.style.display = 'block';
+      } else if (historyElement) {
+        historyElement.style.display = 'none';
       }
     };
 
     this.functions.show.submission = (context, el) => {
       const submissionElement = el;
-      const submissions = this.storageData.vars;
       if (submissionElement) {
-        let hasSubmissions = false;
-        const dlElement = document.createElement('dl');
-
-        Object.keys(submissions).forEach(key => {
-          if (!key.endsWith('_label')) {
-            hasSubmissions = true;
-            const label = submissions[key + '_label'] || key;
-            const value = submissions[key];
-
-            const dtElement = document.createElement('dt');
-            dtElement.textContent = label;
-
-            const ddElement = document.createElement('dd');
-            ddElement.textContent = this._capitalizeFirstLetter(value);
-
-            dlElement.appendChild(dtElement);
-            dlElement.appendChild(ddElement);
-          }
-        });
-
-        if (!hasSubmissions) {
+        const dlElement = this._submissionList(this._changeMode() !== false);
+        if (!dlElement) {
           submissionElement.style.display = 'none';
           return;
         }
 
-        submissionElement.innerHTML = '<h3>Submission</h3>';
+        submissionElement.innerHTML = '';
+        submissionElement.appendChild(this._heading('submission'));
         submissionElement.appendChild(dlElement);
 
         // Ensure the submission element is visible
@@ -192,192 +787,291 @@ class ConvivialDecisionFlow {
       }
     };
 
+    this.functions.show.results = (context, el) => {
+      const actions = (el.getAttribute('data-df-results') || 'print json csv share').split(/\s+/).filter(Boolean);
+      const handlers = {
+        print: () => this.printResults(),
+        json: () => this.downloadResults('json'),
+        csv: () => this.downloadResults('csv'),
+        share: () => this.copyShareUrl()
+      };
+
+      el.innerHTML = '';
+      el.classList.add('convivial-decision-flow__results');
+      actions.filter(action => handlers[action]).forEach((action) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.classList.add('step__button', 'step__button--' + action);
+        button.textContent = this.message({ print: 'print', json: 'downloadJson', csv: 'downloadCsv', share: 'share' }[action]);
+        button.addEventListener('click', handlers[action], { signal: this.listeners.signal });
+        el.appendChild(button);
+      });
+      el.style.display = 'block';
+    };
+
+    this.functions.show.progress = (context, el) => {
+      const { current, shortest, longest } = this.engine.progress(this.storageData);
+      // Between the shortest and the longest way to the end, unless they are the same.
+      const total = current + Math.round((shortest + longest) / 2);
+
+      const label = document.createElement('label');
+      label.classList.add('convivial-decision-flow__progress');
+      label.textContent = this.message(shortest === longest ? 'progress' : 'progressEstimate', { current, total });
+
+      const bar = document.createElement('progress');
+      bar.max = total;
+      bar.value = current;
+      label.appendChild(bar);
+
+      el.innerHTML = '';
+      el.appendChild(label);
+      el.setAttribute('data-df-progress-shortest', current + shortest);
+      el.setAttribute('data-df-progress-longest', current + longest);
+      el.style.display = 'block';
+    };
+
 
     this.functions.show.summary = (context, el) => {
       this._cleanHTML();
       const activeStep = this.storageData.history[this.storageData.history.length - 1].stepID;
-      let furtherQuestions = document.querySelector('#' + this.config.id + ' #' + activeStep + ' .step__answer');
+      const activeStepElement = this._stepElement(activeStep);
+      let furtherQuestions = activeStepElement ? activeStepElement.querySelector(this.selectors.answer) : null;
 
       if (furtherQuestions != null) {
         furtherQuestions = furtherQuestions.innerHTML.replace(/<\!--.*?-->/g, '').trim().length;
       }
 
       if (furtherQuestions === 0 || furtherQuestions == null) {
-        this.show('#' + this.config.id + ' .convivial-decision-flow__summary');
+        this.show(this.domElement.querySelector('.convivial-decision-flow__summary'));
 
-        let infoHTML = '';
         if (this.storageData.history && this.storageData.history.length > 1) {
-          const history = this.storageData.history.slice();
-
-          history.forEach((stepObj) => {
-            const stepElement = document.querySelector('#' + this.config.id + ' #' + stepObj.stepID);
+          // Step texts may contain rendered placeholders, so they are inserted as text.
+          const dlElement = document.createElement('dl');
+          const editable = this._changeMode() !== false;
+          this.storageData.history.forEach((stepObj, index) => {
+            const stepElement = this._stepElement(stepObj.stepID);
             if (stepElement) {
-              const questionElement = stepElement.querySelector('.step__question');
-              const titleElement = stepElement.querySelector('.step__heading');
+              const questionElement = stepElement.querySelector(this.selectors.question);
+              const titleElement = stepElement.querySelector(this.selectors.heading);
               if (questionElement) {
-                infoHTML += `<dt>${questionElement.textContent.trim()}</dt>`;
+                const dtElement = document.createElement('dt');
+                dtElement.textContent = questionElement.textContent.trim();
+                dlElement.appendChild(dtElement);
               }
               if (titleElement) {
-                infoHTML += `<dd>${titleElement.textContent.trim()}</dd>`;
+                const ddElement = document.createElement('dd');
+                ddElement.textContent = titleElement.textContent.trim();
+                dlElement.appendChild(ddElement);
+              }
+              const answered = stepObj.stepAnswer || stepObj.stepValues;
+              if (editable && answered && (questionElement || titleElement) && index < this.storageData.history.length - 1) {
+                dlElement.appendChild(this._changeItem(stepObj.stepID, (questionElement || titleElement).textContent.trim()));
               }
             }
           });
 
-          const historyElement = document.querySelector('#' + this.config.id + ' .convivial-decision-flow__history');
+          const historyElement = this.domElement.querySelector('.convivial-decision-flow__history');
           if (historyElement) {
-            historyElement.innerHTML = `<h3>History</h3><dl>${infoHTML}</dl>`;
+            historyElement.innerHTML = '';
+            historyElement.appendChild(this._heading('history'));
+            historyElement.appendChild(dlElement);
             historyElement.style.display = 'block';
           }
         } else {
-          const historyElement = document.querySelector('#' + this.config.id + ' .convivial-decision-flow__history');
+          const historyElement = this.domElement.querySelector('.convivial-decision-flow__history');
           if (historyElement) {
             historyElement.style.display = 'none';
           }
         }
 
-        const submissionElement = document.querySelector('#' + this.config.id + ' .convivial-decision-flow__submission');
+        const submissionElement = this.domElement.querySelector('.convivial-decision-flow__submission');
         if (submissionElement) {
-          if (Object.keys(this.storageData.vars).length > 0) {
+          const dlElement = this._submissionList(this._changeMode() !== false);
+          if (dlElement) {
             submissionElement.style.display = 'block';
-            const dlElement = document.createElement('dl');
-            Object.keys(this.storageData.vars).forEach(key => {
-              if (!key.endsWith('_label')) {
-                const label = this.storageData.vars[key + '_label'] || key;
-                const value = this.storageData.vars[key];
-
-                const dtElement = document.createElement('dt');
-                dtElement.textContent = label;
-
-                const ddElement = document.createElement('dd');
-                ddElement.textContent = this._capitalizeFirstLetter(value);
-
-                dlElement.appendChild(dtElement);
-                dlElement.appendChild(ddElement);
-              }
-            });
-            submissionElement.innerHTML = '<h3>Submission</h3>';
+            submissionElement.innerHTML = '';
+            submissionElement.appendChild(this._heading('submission'));
             submissionElement.appendChild(dlElement);
           } else {
             submissionElement.style.display = 'none';
           }
         }
+      } else {
+        // Answers may have been changed since the summary was shown.
+        this.hide(this.domElement.querySelector('.convivial-decision-flow__summary'));
       }
     };
 
 
-    this.functions.filter.compare = (variableValue, operator, comparator) => {
-      if (!isNaN(variableValue)) variableValue = parseFloat(variableValue);
-      if (!isNaN(comparator)) comparator = parseFloat(comparator);
-
-      switch (operator) {
-        case 'gt': return variableValue > comparator;
-        case 'gte': return variableValue >= comparator;
-        case 'lt': return variableValue < comparator;
-        case 'lte': return variableValue <= comparator;
-        case 'eq': return variableValue == comparator; // use == for type coercion
-        case 'empty': return variableValue === '';
-        default: return false;
-      }
-    };
+    // Comparisons and history checks are evaluated by the engine on the current state.
+    this.functions.filter.compare = ConvivialDecisionFlowEngine.compare;
 
-    this.functions.vars = (key, operation, value) => {
-      const variableValue = this.storageData.vars[key];
-      return this.functions.filter.compare(variableValue, operation, value);
-    }
+    this.functions.vars = (key, operation, value) => this.engine.vars(this.storageData, key, operation, value);
 
-    this.functions.visited = (stepId, operation, value) => {
-      const isVisited = this.storageData.history.includes(stepId);
-      return this.functions.filter.compare(isVisited, operation, value);
-    }
+    this.functions.visited = (stepId, operation, value) => this.engine.visited(this.storageData, stepId, operation, value);
 
-    this.functions.filter.evaluate = (el, criteria) => {
-      const parts = criteria.split('_');
-      const functionName = parts[0];
-      const args = parts.slice(1);
+    this.functions.answer = stepId => this.engine.chosenAnswer(this.storageData, stepId);
 
-      if (this.functions.filter[functionName]) {
-        return this.functions.filter[functionName](el, ...args);
-      }
+    this.functions.answered = (stepId, answerPath) => this.engine.answered(this.storageData, stepId, answerPath);
 
-      if (functionName === 'var') {
-        return this.functions.vars(...args);
-      } else if (functionName === 'visited') {
-        return this.functions.visited(...args);
-      }
+    this.functions.steps = (operation, value) => this.engine.steps(this.storageData, operation, value);
 
-      return false;
-    };
+    // Evaluate the legacy "var_…" and "visited_…" shorthand and custom "name_arg_arg" filters.
+    this.functions.filter.evaluate = (el, criteria) => this.engine.evaluateShorthand(this.storageData, criteria, el);
 
     this.functions.filter.process = (el) => {
       const filters = el.getAttribute('data-df-filter');
       if (!filters) return true;
-      return filters.split(',').some(filter => {
-        return filter.split('+').every(criteria => {
-          if (criteria.startsWith('!')) {
-            return !this.functions.filter.evaluate(el, criteria.slice(1));
-          }
-          return this.functions.filter.evaluate(el, criteria);
-        });
-      });
+
+      // Parse each expression once and cache it per element.
+      let cached = this.filterCache.get(el);
+      if (!cached || cached.source !== filters) {
+        cached = { source: filters, expression: null };
+        try {
+          cached.expression = ConvivialDecisionFlowExpression.parse(filters);
+        } catch (e) {
+          console.warn(`Invalid data-df-filter "${filters}" on ${this._describeElement(el)} in convivial decision flow with ID ${this.config.id}: ${e.message}`);
+        }
+        this.filterCache.set(el, cached);
+      }
+
+      return cached.expression ? !!this.engine.evaluate(this.storageData, cached.expression, el) : false;
+    };
+
+    // Custom form field validators, see validateForm().
+    this.functions.validate = {};
+
+    // Formatters of the {{vars.name | formatter: argument}} placeholders, see interpolate().
+    const isEmpty = value => value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+    this.functions.format = {
+      default: (context, value, fallback) => (isEmpty(value) ? fallback : value),
+      upper: (context, value) => this._formatValue(value).toLocaleUpperCase(this.locale),
+      lower: (context, value) => this._formatValue(value).toLocaleLowerCase(this.locale),
+      capitalize: (context, value) => this._capitalizeFirstLetter(this._formatValue(value)),
+      number: (context, value, digits) => {
+        const number = parseFloat(value);
+        if (isNaN(number)) {
+          return '';
+        }
+        return new Intl.NumberFormat(this.locale, digits === '' ? {} : { minimumFractionDigits: Number(digits), maximumFractionDigits: Number(digits) }).format(number);
+      },
+      date: (context, value, style) => {
+        // Date fields store ISO dates, which are midnight UTC.
+        const isoDate = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const date = new Date(value);
+        return isEmpty(value) || isNaN(date) ? '' : new Intl.DateTimeFormat(this.locale, { dateStyle: style || 'long', timeZone: isoDate ? 'UTC' : undefined }).format(date);
+      },
+      list: (context, value, type) => {
+        const items = (Array.isArray(value) ? value : [value]).filter(item => !isEmpty(item)).map(item => this._formatValue(item));
+        return typeof Intl.ListFormat === 'function' ? new Intl.ListFormat(this.locale, { type: type || 'conjunction' }).format(items) : items.join(', ');
+      }
     };
 
     this.functions.form = (form) => {
-      const formData = new FormData(form);
-      const vars = {};
-
-      formData.forEach((value, key) => {
-        vars[key] = value;
-        let label;
-        form.querySelectorAll('label').forEach(lbl => {
-          if (lbl.getAttribute('for') === key) {
-            label = lbl.textContent.trim();
-          }
-        });
-        if (label) {
-          vars[key + '_label'] = label;
+      // Never move on until the form is valid, validators may be asynchronous.
+      return this.validateForm(form).then((valid) => {
+        if (!valid) {
+          return;
         }
-      });
 
-      const namespace = `convivial-decision-flow.${this.config.id}`;
-      const storageData = JSON.parse(this.storage.getItem(namespace)) || {
-        history: [{ stepID: this.config.steps[0], stepQuestion: '', stepAnswer: '' }],
-        vars: {}
-      };
+        const vars = this._readFormValues(form);
 
-      storageData.vars = { ...storageData.vars, ...vars };
-      this.storage.setItem(namespace, JSON.stringify(storageData));
+        // Store the values and resolve the destination, trackAnswer() moves on.
+        const currentStep = this.storageData.history[this.storageData.history.length - 1];
+        const step = this.engine.step(currentStep.stepID);
+        const result = this.engine.submit(this.storageData, {
+          form: step ? step.forms.find(candidate => candidate.element === form) || null : null,
+          values: vars,
+          nextStepId: (form.getAttribute('action') || '').replace('#', ''),
+          move: false
+        });
+        const events = this._applyEffects(result);
+        this._saveStorage();
+        this._renderPlaceholders();
+        this._dispatchEffects(events);
 
-      this.storageData = storageData;
-      const nextStep = form.getAttribute('action').replace('#', '');
-      if (!document.querySelector(`#${this.config.id} #${nextStep}`)) {
-        console.warn(`Next step element with ID ${nextStep} not found.`);
-        return;
-      }
-      this.trackAnswer(nextStep);
-      this.filter();
+        const nextStep = result.nextStepId;
+        if (!this._stepElement(nextStep)) {
+          console.warn(`Next step element with ID ${nextStep} not found.`);
+          return;
+        }
+        this.trackAnswer(nextStep);
+        this.filter();
 
-      document.querySelectorAll(`#${this.config.id} [data-df-show]`).forEach((element) => {
-        const functionName = element.getAttribute('data-df-show');
-        if (functionName && this.functions.show && this.functions.show[functionName]) {
-          this.executeFunction('show', functionName, element);
+        // Forms flagged with data-df-submit send the results, unless reaching the end already did.
+        if (form.hasAttribute('data-df-submit') && !this.engine.isTerminal(this.engine.activeStep(this.storageData).stepID)) {
+          this.submitResults('form').catch((e) => {
+            console.warn('Cannot queue the results of convivial decision flow with ID ' + this.config.id + '.', e);
+          });
         }
+
+        this.domElement.querySelectorAll('[data-df-show]').forEach((element) => {
+          const functionName = element.getAttribute('data-df-show');
+          if (functionName && this.functions.show && this.functions.show[functionName]) {
+            this.executeFunction('show', functionName, element);
+          }
+        });
       });
     };
 
     this.definingDefaultFunctions = false;
   }
 
+  /**
+   * Describe an element for warnings, e.g. "li#id.class".
+   * @param {HTMLElement} el - The element.
+   * @returns {string} - The element description.
+   */
+  _describeElement(el) {
+    let description = el.tagName.toLowerCase();
+    if (el.id) {
+      description += '#' + el.id;
+    }
+    el.classList.forEach((className) => {
+      description += '.' + className;
+    });
+    const step = el.closest(this.selectors.step);
+    if (step && step !== el && step.id) {
+      description += ' in step ' + step.id;
+    }
+    return description;
+  }
+
+  /**
+   * Resolve the storage argument into a storage adapter.
+   * @param {Storage|Object|string} storage - A Web Storage object, a storage adapter or a built-in adapter name.
+   * @returns {Object|undefined} - The storage adapter.
+   */
+  _resolveStorage(storage) {
+    if (typeof storage === 'string') {
+      const factory = ConvivialDecisionFlow.storageAdapters[storage];
+      if (!factory) {
+        console.warn(`Storage adapter "${storage}" not found.`);
+        return undefined;
+      }
+      try {
+        return factory();
+      } catch (e) {
+        return undefined;
+      }
+    }
+    if (storage && typeof storage.getItem === 'function' && typeof storage.setItem === 'function') {
+      return new ConvivialDecisionFlowWebStorage(storage);
+    }
+    return storage;
+  }
+
   /**
    * Check if the storage is available.
    */
   _isStorageAvailable() {
     try {
-      if (typeof this.storage === 'undefined') {
+      if (!this.storage || typeof this.storage.load !== 'function' || typeof this.storage.save !== 'function') {
         return false;
       }
-      const test = 'test';
-      this.storage.setItem(test, test);
-      this.storage.removeItem(test);
+      if (typeof this.storage.isAvailable === 'function') {
+        return this.storage.isAvailable();
+      }
       return true;
     } catch (e) {
       console.log('Convivial decision flow will not work optimally because the browser storage is not enabled or accessible.');
@@ -385,17 +1079,25 @@ class ConvivialDecisionFlow {
     }
   }
 
+  /**
+   * Run a callback once the storage has been loaded.
+   * @param {Function} callback - The callback to run.
+   */
+  _whenReady(callback) {
+    if (this.ready) {
+      this.ready.then(callback).catch((e) => {
+        console.warn('Cannot activate convivial decision flow with ID ' + this.config.id + '.', e);
+      });
+    } else {
+      callback();
+    }
+  }
+
   /**
    * Load all the steps of the active convivial decision flow into config.
    */
   _loadSteps(id) {
-    const steps = [];
-    document
-      .querySelector('#' + id)
-      .querySelectorAll('.step')
-      .forEach(function (el) {
-        steps.push(el.id);
-      });
+    const steps = this._stepElements().map(el => el.id);
     if (steps.length < 1) {
       console.warn('Convivial decision flow should have at least one step.');
     }
@@ -404,97 +1106,149 @@ class ConvivialDecisionFlow {
   }
 
   /**
-   * Validate the history of the active convivial decision flow.
+   * Load the active convivial decision flow from storage.
    */
-  _validateHistory(storageData) {
-    const steps = this.config.steps ? this.config.steps : this._loadSteps(this.config.id);
-
-    if (storageData.history.length > 0 && steps.length > 0) {
-      storageData.history = storageData.history.map(entry => {
-        if (typeof entry === 'string') {
-          // Convert any legacy string entries to object format
-          return {
-            stepID: entry,
-            stepQuestion: '',
-            stepAnswer: ''
-          };
-        } else {
-          return entry; // Already in the correct format
-        }
-      });
+  _loadStorage(id) {
+    // A state shared through the URL replaces the stored one.
+    const shared = this._readSharedState();
+    if (shared) {
+      return this._restoreStorage(shared);
+    }
 
-      const valid = storageData.history.every(val => steps.includes(val.stepID));
-      if (!valid) {
-        storageData.history = [{
-          stepID: steps[0],
-          stepQuestion: '',
-          stepAnswer: ''
-        }];
-        this.storageData = storageData;
-        this._saveStorage();
-      }
-    } else {
-      storageData.history = [{
-        stepID: steps[0],
-        stepQuestion: '',
-        stepAnswer: ''
-      }];
+    const namespace = `convivial-decision-flow.${id}`;
+    const storageData = this.storage.load(namespace);
+    if (storageData && typeof storageData.then === 'function') {
+      return storageData.then((data) => this._restoreStorage(data));
     }
 
-    return storageData;
+    return this._restoreStorage(storageData);
   }
 
   /**
-   * Load the active convivial decision flow from storage.
+   * Turn the stored data into the state of the flow.
+   *
+   * Upgrades the storage format, drops state past its time-to-live and migrates or
+   * discards state stored by another version of the flow. State stored before versions
+   * were kept is taken as it is.
+   * @param {Object|null} storageData - The data loaded from storage.
+   * @returns {Object} - The storage data with history and vars.
    */
-  _loadStorage(id) {
-    const namespace = `convivial-decision-flow.${id}`;
-    let storageData = JSON.parse(this.storage.getItem(namespace)) || {};
+  _restoreStorage(storageData) {
+    if (!storageData || typeof storageData !== 'object') {
+      return this._normalizeStorage({});
+    }
+
+    let data = this._migrateStorage(storageData);
+    if (this.options.ttl && data.savedAt && Date.now() - data.savedAt > this.options.ttl) {
+      data = {};
+    } else if (data.version !== undefined && data.version !== this.version) {
+      data = this._migrateVersion(data);
+    }
+
+    const { schema, version, savedAt, ...state } = data;
+    const restored = this._validateHistory(this._normalizeStorage(state));
+    this.stored = { state: JSON.stringify(restored), savedAt };
+    return restored;
+  }
+
+  /**
+   * Upgrade stored data to the current storage format, see ConvivialDecisionFlow.storageMigrations.
+   * @param {Object} data - The stored data.
+   * @returns {Object} - The data in the current format.
+   */
+  _migrateStorage(data) {
+    const migrations = ConvivialDecisionFlow.storageMigrations;
+    for (let schema = data.schema || 0; schema < migrations.length; schema++) {
+      data = { ...migrations[schema](data), schema: schema + 1 };
+    }
+    return data;
+  }
+
+  /**
+   * Migrate state stored by another version of the flow with the migrations option,
+   * or apply the onVersionChange policy when no migration leads to the current version.
+   * @param {Object} data - The stored data.
+   * @returns {Object} - The data to use, empty to start over.
+   */
+  _migrateVersion(data) {
+    const migrations = this.options.migrations || [];
+    const storedVersion = data.version;
+    try {
+      // Follow the migrations from the stored version, each one at most once.
+      const applied = [];
+      let migration;
+      while (data.version !== this.version && (migration = migrations.find(candidate => String(candidate.from) === data.version && !applied.includes(candidate)))) {
+        applied.push(migration);
+        data = { ...migration.migrate(data, this), version: String(migration.to) };
+      }
+      if (data.version === this.version) {
+        return data;
+      }
+
+      const policy = this.options.onVersionChange || 'reset';
+      if (typeof policy === 'function') {
+        return policy(data, storedVersion, this.version) || {};
+      }
+      return policy === 'keep' ? data : {};
+    } catch (e) {
+      console.warn('Cannot migrate the stored state of convivial decision flow with ID ' + this.id + ' from version ' + storedVersion + ', starting over.', e);
+      return {};
+    }
+  }
+
+  /**
+   * Hash the structure of the flow, so stored state can tell when the flow has changed.
+   *
+   * Only the steps and where their answers, forms and routes lead count, not the texts.
+   * @returns {string} - The hash.
+   */
+  _flowHash() {
+    const structure = JSON.stringify(this.model.steps.map(step => [
+      step.id,
+      step.route,
+      step.answers.map(answer => [answer.path, answer.next, answer.route, answer.set]),
+      step.forms.map(form => [form.next, form.route, form.fields])
+    ]));
+    // 32-bit FNV-1a.
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < structure.length; i++) {
+      hash ^= structure.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
 
-    // Ensure history is an array of objects with stepID, stepQuestion, and stepAnswer
-    if (!storageData.history || !Array.isArray(storageData.history)) {
+  /**
+   * Normalize the loaded storage data.
+   * @param {Object} storageData - The stored state.
+   * @returns {Object} - The storage data with history and vars.
+   */
+  _normalizeStorage(storageData) {
+    if (!Array.isArray(storageData.history) || storageData.history.length === 0) {
       storageData.history = [{
         stepID: this.config.steps[0],
         stepQuestion: '',
         stepAnswer: ''
       }];
-    } else {
-      storageData.history = storageData.history.map(entry => {
-        if (typeof entry === 'string') {
-          // Convert legacy string entries to object format
-          return {
-            stepID: entry,
-            stepQuestion: '',
-            stepAnswer: ''
-          };
-        } else {
-          return entry; // Already in the correct format
-        }
-      });
     }
 
     if (!storageData.vars) {
       storageData.vars = {};
     }
 
-    this.storageData = storageData;
     return storageData;
   }
 
   /**
-   * Validate the history of the active convivial decision flow.
+   * Start over from the first step when the history refers to steps the flow no longer has.
+   * @param {Object} storageData - The normalized state.
+   * @returns {Object} - The state with a valid history.
    */
   _validateHistory(storageData) {
-    const history = storageData.history ?? [];
-    const steps = this.config.steps ? this.config.steps : this._loadSteps(this.config.id);
+    const steps = this.config.steps;
 
-    if (history.length > 0 && steps.length > 0) {
-      const valid = history.every((val) => steps.indexOf(val.stepID) !== -1);
-      if (valid === false) {
-        storageData.history = [{ stepID: steps[0], stepQuestion: '', stepAnswer: '' }];
-        this.storageData = storageData;
-        this._saveStorage();
-      }
+    if (steps.length > 0 && !storageData.history.every(entry => entry && steps.includes(entry.stepID))) {
+      storageData.history = [{ stepID: steps[0], stepQuestion: '', stepAnswer: '' }];
     }
 
     return storageData;
@@ -505,412 +1259,3963 @@ class ConvivialDecisionFlow {
    */
   activate() {
     try {
-      const currentStep = this.storageData.history[this.storageData.history.length - 1];
-      const activeStepID = currentStep.stepID;
+      this._restoreStepFromUrl();
 
-      this.trackGA(activeStepID + '/');
-
-      document.querySelectorAll('#' + this.config.id + ' .step').forEach((step) => {
+      this._stepElements().forEach((step) => {
         this.hide(step);
       });
 
       this.toggleFooter();
 
-      if (!document.querySelector('#' + this.config.id + ' .convivial-decision-flow__summary')) {
+      if (!this.domElement.querySelector('.convivial-decision-flow__summary')) {
         const divElement = document.createElement('div');
         divElement.classList.add('convivial-decision-flow__summary');
-        document.querySelector('#' + this.config.id + ' .convivial-decision-flow__footer').prepend(divElement);
+        this.domElement.querySelector('.convivial-decision-flow__footer').prepend(divElement);
       }
 
-      this.show('#' + this.config.id + ' #' + activeStepID);
+      // Show the active step and track the view.
+      const events = this._applyEffects(this.engine.start(this.storageData));
+
+      this._renderPlaceholders();
 
       this.functions.show.summary(this);
 
+      this._renderChangeNotice();
+
       this.filter();
 
-      document.querySelector('#' + this.config.id + ' .convivial-decision-flow__footer .step__button--back').onclick = () => {
+      const { signal } = this.listeners;
+      const backButton = this.domElement.querySelector('.convivial-decision-flow__footer .step__button--back');
+      backButton.addEventListener('click', () => {
         this.trackBackButton();
-      };
+      }, { signal });
 
-      document.querySelector('#' + this.config.id + ' .convivial-decision-flow__footer .step__button--restart').onclick = () => {
+      const restartButton = this.domElement.querySelector('.convivial-decision-flow__footer .step__button--restart');
+      restartButton.addEventListener('click', () => {
         this.trackRestartButton();
-      };
+      }, { signal });
+
+      // Say what the buttons do, keeping their visible text at the start of the label.
+      this._labelButton(backButton, 'backLabel', 'back');
+      this._labelButton(restartButton, 'restartLabel', 'restart');
+
+      // Step changes are announced to screen reader users.
+      if (!this.domElement.querySelector('.convivial-decision-flow__status')) {
+        const status = document.createElement('div');
+        status.classList.add('convivial-decision-flow__status');
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        this.domElement.appendChild(status);
+      }
 
-      document.querySelector('#' + this.config.id).classList.add('df-initialized');
+      this.domElement.classList.add('df-initialized');
 
-      const historyElement = document.querySelector('#' + this.config.id + ' .convivial-decision-flow__history');
+      const historyElement = this.domElement.querySelector('.convivial-decision-flow__history');
       if (historyElement) {
         historyElement.style.display = 'none';
       }
 
-      const submissionElement = document.querySelector('#' + this.config.id + ' .convivial-decision-flow__submission');
+      const submissionElement = this.domElement.querySelector('.convivial-decision-flow__submission');
       if (submissionElement) {
         submissionElement.style.display = 'none';
       }
 
       this._saveStorage();
+      this._syncUrl(true);
+
+      this._dispatchEffects(events);
     } catch (e) {
-      this.hide('#' + this.config.id);
+      this.hide(this.domElement);
       console.warn('Cannot activate convivial decision flow with ID ' + this.config.id + '. Incorrect HTML structure.', e);
     }
   }
 
+  /**
+   * Give a footer button an accessible label that says what it does.
+   * @param {HTMLElement} button - The button.
+   * @param {string} key - The message key of the label, which gets the visible text as {text}.
+   * @param {string} shortcut - The name of its keyboard shortcut.
+   */
+  _labelButton(button, key, shortcut) {
+    if (!button.hasAttribute('aria-label') && !button.hasAttribute('aria-labelledby')) {
+      button.setAttribute('aria-label', this.message(key, { text: button.textContent.trim() }));
+    }
+    if (this.options.keyboard) {
+      const key = this._shortcuts()[shortcut];
+      button.setAttribute('aria-keyshortcuts', key.length === 1 ? key.toUpperCase() : key);
+    }
+  }
+
   /**
    * Initialize forms.
    */
   initializeForms() {
-    document.querySelectorAll('#' + this.config.id + ' .df-form').forEach((form) => {
-      form.addEventListener('submit', (event) => {
-        event.preventDefault();
-        this.functions.form(form);
+    this._stepElements().forEach((step) => {
+      step.querySelectorAll(this.selectors.form).forEach((form) => {
+        // Validation messages are rendered by validateForm() instead of the browser.
+        form.noValidate = true;
+        form.addEventListener('submit', (event) => {
+          event.preventDefault();
+          if (form.getAttribute('aria-busy') === 'true') {
+            return;
+          }
+          this.functions.form(form);
+        }, { signal: this.listeners.signal });
       });
     });
   }
 
   /**
-   * Hide element.
+   * Read the typed values and labels of the form fields.
+   *
+   * Checkbox groups and multiple selects produce arrays, a single checkbox a boolean,
+   * number and range fields a number (or null when empty). Other values stay strings,
+   * dates in their ISO format.
+   *
+   * @param {HTMLFormElement} form - The form.
+   * @returns {Object} - The vars, including a "<name>_label" entry for each labelled field.
    */
-  hide(elem) {
-    try {
-      if (typeof elem === 'string') {
-        elem = document.querySelector(elem);
-      }
-      if (elem && elem.nodeType) {
-        elem.style.display = 'none';
-        return true;
+  _readFormValues(form) {
+    const vars = {};
+    const groups = {};
+    Array.from(form.elements).forEach((field) => {
+      if (field.name && !field.disabled && !['submit', 'button', 'reset', 'image', 'file'].includes(field.type)) {
+        groups[field.name] = groups[field.name] || [];
+        groups[field.name].push(field);
       }
-    } catch (e) {
-      console.warn('Please check convivial decision flow with ID ' + this.config.id + '. Incorrect HTML structure.');
-    }
-    return false;
-  }
+    });
 
-  /**
-   * Show element.
-   */
-  show(elem) {
-    try {
-      if (typeof elem === 'string') {
-        elem = document.querySelector(elem);
-      }
-      if (elem && elem.nodeType) {
-        elem.style.display = 'revert';
-        this._executeShowFunctions(elem); // Execute show functions if any
-        return true;
+    Object.keys(groups).forEach((name) => {
+      const fields = groups[name];
+      const field = fields[0];
+
+      if (field.type === 'checkbox') {
+        vars[name] = fields.length > 1
+          ? fields.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+          : field.checked;
+      } else if (field.type === 'radio') {
+        const checked = fields.find(radio => radio.checked);
+        vars[name] = checked ? checked.value : '';
+      } else if (field.tagName === 'SELECT' && field.multiple) {
+        vars[name] = Array.from(field.selectedOptions).map(option => option.value);
+      } else if (field.type === 'number' || field.type === 'range') {
+        vars[name] = field.value === '' ? null : Number(field.value);
+      } else {
+        vars[name] = field.value;
       }
-    } catch (e) {
-      console.warn('Please check convivial decision flow ' + this.config.id + '. Incorrect HTML structure.');
-    }
-    return false;
-  }
-
-  /**
-   * Execute show functions.
-   */
-  _executeShowFunctions(elem) {
-    const elementsWithShow = elem.querySelectorAll('[data-df-show]');
 
-    elementsWithShow.forEach((element) => {
-      const functionName = element.getAttribute('data-df-show');
-      if (functionName) {
-        // Validate the function name
-        const validName = /^[a-zA-Z_$][0-9a-zA-Z_$]*$/.test(functionName);
-        if (validName) {
-          if (this.functions.show && this.functions.show[functionName]) {
-            console.log(`Executing show function: ${functionName}`);
-            this.executeFunction('show', functionName, element);
-          } else {
-            console.warn(`Show function "${functionName}" not defined yet. Skipping execution.`);
-          }
-        } else {
-          console.warn(`Invalid function name: ${functionName}`);
-        }
+      const label = fields.length > 1 || field.type === 'radio' ? this._groupLabel(field) : this._fieldLabel(field);
+      if (label) {
+        vars[name + '_label'] = label;
       }
     });
+
+    return vars;
   }
 
   /**
-   * Filter results elements by start and stop parameters.
+   * Resolve the accessible label of a form field.
+   * @param {HTMLElement} field - The form field.
+   * @returns {string} - The label, or an empty string if the field has none.
    */
-  filter() {
-    // Target elements with the data-df-filter attribute within the specific config id
-    document.querySelectorAll('#' + this.config.id + ' [data-df-filter]').forEach((element) => {
-      if (this.functions.filter.process(element)) {
-        this.show(element);
-      } else {
-        this.hide(element);
-      }
-    });
+  _fieldLabel(field) {
+    if (field.labels && field.labels.length > 0) {
+      // Leave out the text of the field itself, e.g. the options of a wrapped select.
+      const label = field.labels[0].cloneNode(true);
+      label.querySelectorAll('input, select, textarea').forEach(el => el.parentNode.removeChild(el));
+      return label.textContent.trim();
+    }
+    if (field.hasAttribute('aria-label')) {
+      return field.getAttribute('aria-label').trim();
+    }
+    if (field.hasAttribute('aria-labelledby')) {
+      return field.getAttribute('aria-labelledby').split(/\s+/)
+        .map(id => document.getElementById(id))
+        .filter(Boolean)
+        .map(el => el.textContent.trim())
+        .join(' ');
+    }
+    // Legacy markup pointing the label at the field name instead of its ID.
+    const legacyLabel = Array.from(field.form.querySelectorAll('label')).find(lbl => lbl.getAttribute('for') === field.name);
+    return legacyLabel ? legacyLabel.textContent.trim() : '';
   }
 
   /**
-   * Hide the active convivial decision flow back and restart button if its first step.
+   * Resolve the label of a group of radios or checkboxes.
+   * @param {HTMLElement} field - A field of the group.
+   * @returns {string} - The fieldset legend, or the label of the field.
    */
-  toggleFooter() {
-    if (!document.querySelector('#' + this.config.id + ' .convivial-decision-flow__footer')) {
-      const divElement = document.createElement('div');
-      divElement.classList.add('convivial-decision-flow__footer');
-      divElement.innerHTML = '<button class="step__button step__button--back">Back</button>\n<button class="step__button step__button--restart">Restart</button>';
-      document.querySelector('#' + this.config.id).appendChild(divElement);
+  _groupLabel(field) {
+    const fieldset = field.closest('fieldset');
+    const legend = fieldset ? fieldset.querySelector('legend') : null;
+    if (legend) {
+      return legend.textContent.trim();
     }
-    if (this.storageData.history.length > 1) {
-      this.show('#' + this.config.id + ' .convivial-decision-flow__footer');
-    } else {
-      this.hide('#' + this.config.id + ' .convivial-decision-flow__footer');
+    const group = field.closest('[role="group"], [role="radiogroup"]');
+    if (group && (group.hasAttribute('aria-label') || group.hasAttribute('aria-labelledby'))) {
+      return this._fieldLabel(group);
     }
+    return this._fieldLabel(field);
   }
 
   /**
-   * Track the answer.
+   * Format a variable value for display.
+   * @param {*} value - The value.
+   * @returns {string} - The formatted value.
    */
-  trackAnswer(nextStep, datakey) {
-    const currentStep = this.storageData.history[this.storageData.history.length - 1];
-    if (datakey) {
-      this.trackGA(currentStep.stepID + '/' + datakey);
+  _formatValue(value) {
+    if (Array.isArray(value)) {
+      const items = value.map(item => this._formatValue(item));
+      return typeof Intl.ListFormat === 'function' ? new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items) : items.join(', ');
     }
-
-    const activeStepElement = document.querySelector('#' + this.config.id + ' #' + currentStep.stepID);
-    if (!activeStepElement) {
-      console.warn(`Active step element with ID ${currentStep.stepID} not found.`);
-      return;
+    if (typeof value === 'boolean') {
+      return this.message(value ? 'yes' : 'no');
     }
-
-    const selectedAnswerElement = activeStepElement.querySelector('.step__answer[data-selected="true"]');
-    if (selectedAnswerElement) {
-      currentStep.stepAnswer = selectedAnswerElement.textContent.trim();
+    if (value === null || value === undefined) {
+      return '';
     }
-
-    this.hide('#' + this.config.id + ' #' + currentStep.stepID);
-
-    const nextStepElement = document.querySelector('#' + this.config.id + ' #' + nextStep);
-    if (!nextStepElement) {
-      console.warn(`Next step element with ID ${nextStep} not found.`);
-      return;
+    if (typeof value === 'number') {
+      return new Intl.NumberFormat(this.locale).format(value);
     }
-
-    const nextStepQuestionElement = nextStepElement.querySelector('.step__question');
-    const nextStepQuestion = nextStepQuestionElement ? nextStepQuestionElement.textContent.trim() : '';
-
-    this.show('#' + this.config.id + ' #' + nextStep);
-
-    this.trackGA(nextStep + '/');
-
-    // Ensure the next step is added as an object with the correct format
-    if (!this.storageData.history.some(step => step.stepID === nextStep)) {
-      this.storageData.history.push({
-        stepID: nextStep,
-        stepQuestion: nextStepQuestion,
-        stepAnswer: ''
-      });
+    // Date fields store ISO dates.
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) {
+      return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(value + 'T00:00:00Z'));
     }
+    return this._capitalizeFirstLetter(String(value));
+  }
 
-    this._saveStorage(this.config.id);
-
-    this.trackAttribute(nextStep);
-
-    this.functions.show.summary(this);
+  /**
+   * Render a template with {{vars.name}} placeholders into text.
+   *
+   * Placeholders may pipe the value through formatters defined in functions.format,
+   * e.g. {{vars.age | number}} or {{vars.name | default: "friend"}}.
+   * @param {string} template - The template.
+   * @param {Function} [escape] - Applied to every inserted value, e.g. encodeURIComponent.
+   * @returns {string} - The text.
+   */
+  interpolate(template, escape = value => value) {
+    return template.replace(/\{\{([^{}]*)\}\}/g, (placeholder, expression) => {
+      const [path, ...formatters] = this._splitPlaceholder(expression);
+      const name = path.match(/^vars\.([\w-]+)$/);
+      if (!name) {
+        this._warnOnce(`Unknown placeholder ${placeholder} in convivial decision flow with ID ${this.config.id}, use {{vars.<name>}}.`);
+        return placeholder;
+      }
 
-    const historyElement = document.querySelector('#' + this.config.id + ' [data-df-show="history"]');
-    if (historyElement) {
-      this.executeFunction('show', 'history', historyElement);
-    }
+      let value = this.storageData.vars[name[1]];
+      formatters.forEach((formatter) => {
+        const [, formatterName, argument = ''] = formatter.match(/^([\w-]+)\s*(?::\s*([\s\S]*))?$/) || [];
+        if (!formatterName || !this.functions.format[formatterName]) {
+          this._warnOnce(`Formatter "${formatter}" not found in convivial decision flow with ID ${this.config.id}.`);
+          return;
+        }
+        value = this.functions.format[formatterName](this, value, argument.replace(/^(["'])([\s\S]*)\1$/, '$2'));
+      });
+      return escape(typeof value === 'string' ? value : this._formatValue(value));
+    });
+  }
 
-    const submissionElement = document.querySelector('#' + this.config.id + ' [data-df-show="submission"]');
-    if (submissionElement) {
-      this.executeFunction('show', 'submission', submissionElement);
+  /**
+   * Warn about a problem once, instead of every time it comes up, e.g. when the placeholders are rendered.
+   * @param {string} message - The warning.
+   */
+  _warnOnce(message) {
+    this.warnings = this.warnings || new Set();
+    if (!this.warnings.has(message)) {
+      this.warnings.add(message);
+      console.warn(message);
     }
-
-    this.toggleFooter();
   }
 
   /**
-   * Save the current state of the decision flow to storage.
+   * Split a placeholder expression by the pipes that are not quoted.
+   * @param {string} expression - The expression between the braces.
+   * @returns {Array} - The trimmed variable path followed by the formatters.
    */
-  _saveStorage() {
-    const namespace = `convivial-decision-flow.${this.config.id}`;
-    this.storage.setItem(namespace, JSON.stringify(this.storageData));
+  _splitPlaceholder(expression) {
+    const parts = [''];
+    let quote = null;
+    Array.from(expression).forEach((character) => {
+      if (quote) {
+        quote = character === quote ? null : quote;
+      } else if (character === '"' || character === "'") {
+        quote = character;
+      } else if (character === '|') {
+        parts.push('');
+        return;
+      }
+      parts[parts.length - 1] += character;
+    });
+    return parts.map(part => part.trim());
   }
 
   /**
-   * Clean HTML by removing specific elements or attributes as needed.
+   * Find the text and attributes of the flow that contain placeholders.
+   *
+   * The templates are read once, so values inserted later, e.g. by show functions, are never
+   * taken for placeholders.
+   * @returns {Array} - The templates with their text node or element and attribute name.
+   */
+  _findTemplates() {
+    const templates = [];
+    const skipped = 'script, style, template, textarea';
+    const walker = document.createTreeWalker(this.domElement, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (/\{\{[^{}]*\}\}/.test(node.nodeValue) && !node.parentNode.closest(skipped)) {
+          templates.push({ node, attribute: null, template: node.nodeValue });
+        }
+      } else if (!node.matches(skipped)) {
+        // Attributes the flow itself reads are left alone.
+        Array.from(node.attributes).filter(attribute => !/^(id|class|style|name|on.*|data-df-.*|data-answer-path|data-cookie(-.*)?)$/i.test(attribute.name)).forEach((attribute) => {
+          if (/\{\{[^{}]*\}\}/.test(attribute.value)) {
+            templates.push({ node, attribute: attribute.name, template: attribute.value });
+          }
+        });
+      }
+    }
+    return templates;
+  }
+
+  /**
+   * Render the placeholders of the flow with the current vars.
+   */
+  _renderPlaceholders() {
+    if (!this.templates) {
+      this.templates = this._findTemplates();
+    }
+    this.templates.forEach(({ node, attribute, template }) => {
+      if (attribute === null) {
+        node.nodeValue = this.interpolate(template);
+      } else {
+        // Values in URLs are encoded, so they cannot change the scheme or add parameters.
+        const url = ['href', 'src', 'action', 'formaction'].includes(attribute.toLowerCase());
+        node.setAttribute(attribute, this.interpolate(template, url ? encodeURIComponent : undefined));
+      }
+    });
+  }
+
+  /**
+   * Validate a form and render the error messages next to the invalid fields.
+   *
+   * Besides the native constraints (required, type, min, max, pattern, ...), fields support:
+   * - data-df-min / data-df-max: The minimum / maximum number or date.
+   * - data-df-pattern: A regular expression the whole value must match.
+   * - data-df-match: The name of another field the value must equal.
+   * - data-df-validate: Space separated names of validators defined in functions.validate.
+   * Error messages can be overridden with data-df-error-<rule> attributes, e.g. data-df-error-min.
+   *
+   * @param {HTMLFormElement} form - The form to validate.
+   * @returns {Promise<boolean>} - Whether the form is valid.
+   */
+  validateForm(form) {
+    this._clearFormErrors(form);
+
+    const fields = [];
+    const names = [];
+    Array.from(form.elements).forEach((field) => {
+      // Validate each group of fields sharing a name (radios, checkboxes) once.
+      if (field.name && field.willValidate !== false && !names.includes(field.name)) {
+        names.push(field.name);
+        fields.push(field);
+      }
+    });
+
+    form.setAttribute('aria-busy', 'true');
+    // A rule throwing while it is checked fails its field, it must not leave the form busy.
+    return Promise.all(fields.map(field => Promise.resolve().then(() => this._validateField(field, form)).catch((e) => {
+      console.error('Error validating field "' + field.name + '":', e);
+      return field.getAttribute('data-df-error-error') || this.message('validationError');
+    })))
+      .then((messages) => {
+        let firstInvalid = null;
+        messages.forEach((message, index) => {
+          if (message) {
+            this._showFieldError(fields[index], message);
+            firstInvalid = firstInvalid || fields[index];
+          }
+        });
+        if (firstInvalid) {
+          firstInvalid.focus();
+        }
+        return !firstInvalid;
+      })
+      .finally(() => {
+        form.removeAttribute('aria-busy');
+      });
+  }
+
+  /**
+   * Validate a single form field.
+   * @param {HTMLElement} field - The field to validate.
+   * @param {HTMLFormElement} form - The form of the field.
+   * @returns {Promise<string|null>} - The error message or null if the field is valid.
+   */
+  _validateField(field, form) {
+    const message = (rule, fallback) => field.getAttribute('data-df-error-' + rule) || fallback;
+
+    if (typeof field.checkValidity === 'function' && !field.checkValidity()) {
+      return Promise.resolve(message('native', this._nativeMessage(field)));
+    }
+
+    const value = field.value;
+    if (value !== '') {
+      const toNumber = (input) => (field.type === 'date' ? Date.parse(input) : parseFloat(input));
+      const min = field.getAttribute('data-df-min');
+      if (min !== null && !(toNumber(value) >= toNumber(min))) {
+        return Promise.resolve(message('min', this.message('min', { min })));
+      }
+      const max = field.getAttribute('data-df-max');
+      if (max !== null && !(toNumber(value) <= toNumber(max))) {
+        return Promise.resolve(message('max', this.message('max', { max })));
+      }
+      const pattern = this._fieldPattern(field);
+      if (pattern && !pattern.test(value)) {
+        return Promise.resolve(message('pattern', this.message('pattern')));
+      }
+    }
+
+    const match = field.getAttribute('data-df-match');
+    if (match !== null) {
+      const other = form.elements.namedItem(match);
+      if (!other || other.value !== value) {
+        return Promise.resolve(message('match', this.message('match')));
+      }
+    }
+
+    // Run the custom validators one after another, stopping at the first error.
+    // Empty values are left to the required constraint.
+    const validators = value === '' ? [] : (field.getAttribute('data-df-validate') || '').split(/\s+/).filter(Boolean);
+    return validators.reduce((previous, name) => previous.then((error) => {
+      if (error) {
+        return error;
+      }
+      if (!this.functions.validate[name]) {
+        console.warn(`Validator "${name}" not found in convivial decision flow with ID ${this.config.id}.`);
+        return null;
+      }
+      return Promise.resolve(this.functions.validate[name](this, field, value, form)).then((result) => {
+        if (result === false) {
+          return message(name, this.message('invalid'));
+        }
+        return typeof result === 'string' ? result : null;
+      });
+    }), Promise.resolve(null)).catch((e) => {
+      console.error('Error validating field "' + field.name + '":', e);
+      return message('error', this.message('validationError'));
+    });
+  }
+
+  /**
+   * Compile the data-df-pattern of a field.
+   * @param {HTMLElement} field - The field.
+   * @returns {RegExp|null} - The pattern matching the whole value, or null if the field has none or it is invalid.
+   */
+  _fieldPattern(field) {
+    const pattern = field.getAttribute('data-df-pattern');
+    if (pattern === null) {
+      return null;
+    }
+    try {
+      return new RegExp('^(?:' + pattern + ')$');
+    } catch (e) {
+      this._warnOnce(`Invalid data-df-pattern "${pattern}" of field "${field.name}" in convivial decision flow with ID ${this.config.id}, the rule is skipped.`);
+      return null;
+    }
+  }
+
+  /**
+   * Describe why a field fails its HTML constraints, in the locale of the flow.
+   * @param {HTMLElement} field - The invalid field.
+   * @returns {string} - The error message.
+   */
+  _nativeMessage(field) {
+    const validity = field.validity || {};
+    if (validity.valueMissing) {
+      return this.message('required');
+    }
+    if (validity.rangeUnderflow) {
+      return this.message('min', { min: field.min });
+    }
+    if (validity.rangeOverflow) {
+      return this.message('max', { max: field.max });
+    }
+    if (validity.tooShort) {
+      return this.message('minLength', { minLength: field.minLength });
+    }
+    if (validity.tooLong) {
+      return this.message('maxLength', { maxLength: field.maxLength });
+    }
+    if (validity.patternMismatch) {
+      return this.message('pattern');
+    }
+    if (validity.typeMismatch || validity.badInput || validity.stepMismatch) {
+      return this.message('invalid');
+    }
+    return field.validationMessage;
+  }
+
+  /**
+   * Render an error message for a form field and link it with aria-describedby.
+   * @param {HTMLElement} field - The invalid field.
+   * @param {string} message - The error message.
+   */
+  _showFieldError(field, message) {
+    if (!field.id) {
+      field.id = this.config.id + '-' + field.name;
+    }
+    const errorElement = document.createElement('div');
+    errorElement.classList.add('df-form__error');
+    errorElement.id = field.id + '-error';
+    errorElement.textContent = message;
+
+    // Put the message after the whole group of checkboxes or radios.
+    const group = Array.from(field.form.elements).filter(element => element.name === field.name);
+    const last = group[group.length - 1] || field;
+    const anchor = last.closest('label') && last.closest('label') !== field.form ? last.closest('label') : last;
+    anchor.insertAdjacentElement('afterend', errorElement);
+
+    field.setAttribute('aria-invalid', 'true');
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    describedBy.push(errorElement.id);
+    field.setAttribute('aria-describedby', describedBy.join(' '));
+  }
+
+  /**
+   * Remove the rendered error messages of a form.
+   * @param {HTMLFormElement} form - The form.
+   */
+  _clearFormErrors(form) {
+    form.querySelectorAll('.df-form__error').forEach((errorElement) => {
+      const field = Array.from(form.elements).find(element => (element.getAttribute('aria-describedby') || '').split(/\s+/).includes(errorElement.id));
+      if (field) {
+        const describedBy = field.getAttribute('aria-describedby').split(/\s+/).filter(id => id && id !== errorElement.id);
+        if (describedBy.length > 0) {
+          field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+          field.removeAttribute('aria-describedby');
+        }
+        field.removeAttribute('aria-invalid');
+      }
+      errorElement.parentNode.removeChild(errorElement);
+    });
+  }
+
+  /**
+   * Hide element.
+   * @param {HTMLElement|string} elem - The element, or a selector within the flow.
+   */
+  hide(elem) {
+    try {
+      if (typeof elem === 'string') {
+        elem = this.domElement.querySelector(elem);
+      }
+      if (elem && elem.nodeType) {
+        elem.style.display = 'none';
+        return true;
+      }
+    } catch (e) {
+      console.warn('Please check convivial decision flow with ID ' + this.config.id + '. Incorrect HTML structure.');
+    }
+    return false;
+  }
+
+  /**
+   * Show element.
+   * @param {HTMLElement|string} elem - The element, or a selector within the flow.
+   */
+  show(elem) {
+    try {
+      if (typeof elem === 'string') {
+        elem = this.domElement.querySelector(elem);
+      }
+      if (elem && elem.nodeType) {
+        elem.style.display = 'revert';
+        this._executeShowFunctions(elem); // Execute show functions if any
+        return true;
+      }
+    } catch (e) {
+      console.warn('Please check convivial decision flow ' + this.config.id + '. Incorrect HTML structure.');
+    }
+    return false;
+  }
+
+  /**
+   * Execute show functions.
+   */
+  _executeShowFunctions(elem) {
+    const elementsWithShow = elem.querySelectorAll('[data-df-show]');
+
+    elementsWithShow.forEach((element) => {
+      const functionName = element.getAttribute('data-df-show');
+      if (functionName) {
+        // Validate the function name
+        const validName = /^[a-zA-Z_$][0-9a-zA-Z_$]*$/.test(functionName);
+        if (validName) {
+          if (this.functions.show && this.functions.show[functionName]) {
+            console.log(`Executing show function: ${functionName}`);
+            this.executeFunction('show', functionName, element);
+          } else {
+            console.warn(`Show function "${functionName}" not defined yet. Skipping execution.`);
+          }
+        } else {
+          console.warn(`Invalid function name: ${functionName}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Filter results elements by start and stop parameters.
+   */
+  filter() {
+    // Target elements with the data-df-filter attribute within the specific config id
+    this.domElement.querySelectorAll('[data-df-filter]').forEach((element) => {
+      if (this.functions.filter.process(element)) {
+        this.show(element);
+      } else {
+        this.hide(element);
+      }
+    });
+  }
+
+  /**
+   * Hide the active convivial decision flow back and restart button if its first step.
+   */
+  toggleFooter() {
+    if (!this.domElement.querySelector('.convivial-decision-flow__footer')) {
+      const divElement = document.createElement('div');
+      divElement.classList.add('convivial-decision-flow__footer');
+      ['back', 'restart'].forEach((name) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.classList.add('step__button', 'step__button--' + name);
+        button.textContent = this.message(name);
+        divElement.appendChild(button);
+      });
+      this.domElement.appendChild(divElement);
+    }
+    if (this.storageData.history.length > 1) {
+      this.show('.convivial-decision-flow__footer');
+    } else {
+      this.hide('.convivial-decision-flow__footer');
+    }
+  }
+
+  /**
+   * Track the answer.
+   */
+  trackAnswer(nextStep, datakey) {
+    const currentStep = this.storageData.history[this.storageData.history.length - 1];
+    const requestedStep = nextStep;
+
+    // Let integrators veto or redirect the navigation.
+    const beforeEvent = this._dispatch('before-answer', { stepId: currentStep.stepID, nextStepId: nextStep, answerPath: datakey || null }, true);
+    if (beforeEvent.defaultPrevented) {
+      return;
+    }
+    nextStep = beforeEvent.detail.nextStepId;
+
+    const activeStepElement = this._stepElement(currentStep.stepID);
+    if (!activeStepElement) {
+      console.warn(`Active step element with ID ${currentStep.stepID} not found.`);
+      return;
+    }
+
+    const selectedAnswerElement = this._answerElements(activeStepElement).find(el => el.getAttribute('aria-current') === 'true');
+    const step = this.engine.step(currentStep.stepID);
+    const answer = selectedAnswerElement && step ? step.answers.find(candidate => candidate.element === selectedAnswerElement) : null;
+
+    // Route the answer with the updated vars, unless a listener has redirected it.
+    const result = this.engine.answer(this.storageData, {
+      answer,
+      answerPath: datakey || null,
+      nextStepId: nextStep,
+      route: nextStep === requestedStep
+    });
+    this.direction = 'forward';
+    const events = this._applyEffects(result);
+    if (!events.length) {
+      return;
+    }
+
+    this._saveStorage(this.config.id);
+
+    this._renderPlaceholders();
+
+    // Filters may depend on the history, so refresh them once it is updated.
+    this.filter();
+
+    this._renderSummaries();
+
+    this._renderChangeNotice();
+
+    this._updateProgress();
+
+    this.toggleFooter();
+
+    this._syncUrl();
+
+    this._afterTransition(() => this._focusActiveStep());
+
+    this._dispatchEffects(events);
+
+    if (events.some(effect => effect.event === 'complete') && this._submitSettings()) {
+      this.submitResults('complete').catch((e) => {
+        console.warn('Cannot queue the results of convivial decision flow with ID ' + this.config.id + '.', e);
+      });
+    }
+  }
+
+  /**
+   * Render the summary, history and submission of the flow again.
+   */
+  _renderSummaries() {
+    this.functions.show.summary(this);
+
+    const historyElement = this.domElement.querySelector('[data-df-show="history"]');
+    if (historyElement) {
+      this.executeFunction('show', 'history', historyElement);
+    }
+
+    const submissionElement = this.domElement.querySelector('[data-df-show="submission"]');
+    if (submissionElement) {
+      this.executeFunction('show', 'submission', submissionElement);
+    }
+  }
+
+  /**
+   * The change option: 'ask', 'summary', 'rewalk' or false, see changeAnswer().
+   * @returns {string|boolean} - The change mode.
+   */
+  _changeMode() {
+    return this.options.change === undefined ? 'ask' : this.options.change;
+  }
+
+  /**
+   * Go back to an earlier step to change its answer, e.g. from a change button in a summary.
+   *
+   * The later steps are removed from the history and the variables they set are cleared.
+   * @param {string} stepId - The step to change the answer of.
+   * @param {string} [mode] - 'summary' to skip the later steps that are answered the same way
+   *   once the step has been answered, or 'rewalk' to answer them again. Defaults to the change option.
+   */
+  changeAnswer(stepId, mode) {
+    mode = mode || (this._changeMode() === 'rewalk' ? 'rewalk' : 'summary');
+    this.direction = 'back';
+    const events = this._applyEffects(this.engine.change(this.storageData, { stepId, mode }));
+    if (!events.length) {
+      return;
+    }
+
+    this._cleanHTML();
+    this._saveStorage();
+    this._renderPlaceholders();
+    this.filter();
+    this._renderSummaries();
+    this._renderChangeNotice();
+    this._updateProgress();
+    this.toggleFooter();
+    this._syncUrl();
+    this._afterTransition(() => this._focusActiveStep());
+
+    this._dispatchEffects(events);
+  }
+
+  /**
+   * Let users choose whether to skip the steps they already answered while they change an answer.
+   *
+   * Only rendered when the change option is 'ask'.
+   */
+  _renderChangeNotice() {
+    const existing = this.domElement.querySelector('.convivial-decision-flow__change');
+    if (existing) {
+      existing.parentNode.removeChild(existing);
+    }
+    const resume = this.storageData.resume;
+    const stepElement = this._stepElement(this.engine.activeStep(this.storageData).stepID);
+    if (!resume || this._changeMode() !== 'ask' || !stepElement) {
+      return;
+    }
+
+    const notice = document.createElement('div');
+    notice.classList.add('convivial-decision-flow__change');
+    const text = document.createElement('p');
+    text.textContent = this.message('changing');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = resume.mode === 'summary';
+    checkbox.addEventListener('change', () => {
+      this.storageData = { ...this.storageData, resume: { ...this.storageData.resume, mode: checkbox.checked ? 'summary' : 'rewalk' } };
+      this._saveStorage();
+    }, { signal: this.listeners.signal });
+    label.append(checkbox, ' ' + this.message('changeResume'));
+    notice.append(text, label);
+
+    // Before the question, so that it is read before answering.
+    const question = stepElement.querySelector(this.selectors.question);
+    if (question) {
+      question.parentNode.insertBefore(notice, question);
+    } else {
+      stepElement.prepend(notice);
+    }
+  }
+
+  /**
+   * Render the progress indicators of the flow again.
+   */
+  _updateProgress() {
+    this.domElement.querySelectorAll('[data-df-show="progress"]').forEach((element) => {
+      this.executeFunction('show', 'progress', element);
+    });
+  }
+
+  /**
+   * Carry out the result of an engine action: store the new state and apply its effects.
+   *
+   * Lifecycle events are returned instead of dispatched, so that they follow the re-rendering.
+   * @param {Object} result - The state and effects returned by the engine.
+   * @returns {Array} - The dispatch effects.
+   */
+  _applyEffects(result) {
+    this.storageData = result.state;
+    const events = [];
+    result.effects.forEach((effect) => {
+      switch (effect.type) {
+        case 'leave':
+          this._transition(this._stepElement(effect.stepId), 'leave');
+          break;
+        case 'enter':
+          this._transition(this._stepElement(effect.stepId), 'enter');
+          break;
+        case 'track':
+          this.trackEvent(effect.action, effect.stepId, effect.answerPath);
+          break;
+        case 'cookie':
+          // The step settings override the cookie option, which overrides the default 7 days.
+          this.cookie(effect.name, effect.value, effect.days ?? (this.options.cookie && this.options.cookie.days !== undefined ? this.options.cookie.days : 7), effect);
+          break;
+        case 'remove-cookie':
+          this.removeCookie(effect.name, effect);
+          break;
+        case 'dispatch':
+          events.push(effect);
+          break;
+        case 'warn':
+          console.warn(effect.message);
+          break;
+      }
+    });
+    return events;
+  }
+
+  /**
+   * Dispatch the lifecycle events of an engine action.
+   * @param {Array} events - The dispatch effects.
+   */
+  _dispatchEffects(events) {
+    events.forEach((effect) => {
+      this._dispatch(effect.event, effect.detail);
+    });
+  }
+
+  /**
+   * Dispatch a lifecycle event on the DOM element of the decision flow.
+   * @param {string} type - The event type without the "df:" prefix.
+   * @param {Object} detail - The event specific details.
+   * @param {boolean} cancelable - Whether the event can be canceled.
+   * @returns {CustomEvent} - The dispatched event.
+   */
+  _dispatch(type, detail = {}, cancelable = false) {
+    const event = new CustomEvent('df:' + type, {
+      bubbles: true,
+      cancelable,
+      detail: {
+        flow: this,
+        flowId: this.config.id,
+        ...detail,
+        history: this.storageData.history.map(entry => ({ ...entry })),
+        vars: { ...this.storageData.vars }
+      }
+    });
+    this.domElement.dispatchEvent(event);
+    return event;
+  }
+
+  /**
+   * Save the current state of the decision flow to storage.
+   *
+   * savedAt is only updated when the state changes, so that the ttl option counts from the last
+   * change rather than the last visit.
+   */
+  _saveStorage() {
+    const namespace = `convivial-decision-flow.${this.config.id}`;
+    const state = JSON.stringify(this.storageData);
+    if (!this.stored || this.stored.state !== state || !this.stored.savedAt) {
+      this.stored = { state, savedAt: Date.now() };
+    }
+    const { savedAt } = this.stored;
+    const saved = this._whenConsented('storage', 'storage:' + namespace, () => this.storage.save(namespace, {
+      ...this.storageData,
+      schema: ConvivialDecisionFlow.storageMigrations.length,
+      version: this.version,
+      savedAt
+    }));
+    if (saved && typeof saved.then === 'function') {
+      saved.catch((e) => {
+        console.warn('Cannot save convivial decision flow with ID ' + this.config.id + ' to storage.', e);
+      });
+    }
+  }
+
+  /**
+   * Remove the stored state of the decision flow.
+   * @returns {Promise|undefined} - A promise if the storage adapter is asynchronous.
+   */
+  clearStorage() {
+    const namespace = `convivial-decision-flow.${this.config.id}`;
+    this.heldWrites.delete('storage:' + namespace);
+    if (typeof this.storage.clear === 'function') {
+      return this.storage.clear(namespace);
+    }
+  }
+
+  /**
+   * Describe the results of the flow: the steps with their questions and answers, and the vars.
+   * @returns {Object} - The flow ID and version, the history and the vars.
+   */
+  exportResults() {
+    return {
+      flow: this.config.id,
+      version: this.version,
+      history: this.storageData.history.map((entry) => {
+        const step = this.engine.step(entry.stepID);
+        const question = entry.stepQuestion || (step ? step.question : null);
+        return {
+          step: entry.stepID,
+          heading: step && step.heading ? this.interpolate(step.heading) : null,
+          question: question ? this.interpolate(question) : null,
+          answer: entry.stepAnswer ? this.interpolate(entry.stepAnswer) : null,
+          answerPath: entry.stepAnswerPath || null
+        };
+      }),
+      vars: { ...this.storageData.vars }
+    };
+  }
+
+  /**
+   * Format the results as CSV, one row per step and one per variable.
+   * @returns {string} - The CSV with the type, id, label and value columns.
+   */
+  resultsToCsv() {
+    const results = this.exportResults();
+    const cell = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Keep spreadsheets from running values as formulas.
+      if (/^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+      }
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    const rows = [['type', 'id', 'label', 'value']];
+    results.history.forEach((entry) => {
+      rows.push(['step', entry.step, entry.question || entry.heading, entry.answer]);
+    });
+    Object.keys(results.vars).filter(key => !key.endsWith('_label')).forEach((key) => {
+      const value = results.vars[key];
+      rows.push(['variable', key, results.vars[key + '_label'], Array.isArray(value) ? value.join('; ') : value]);
+    });
+    return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Download the results as a file.
+   * @param {string} [format] - 'json' (default) or 'csv'.
+   */
+  downloadResults(format = 'json') {
+    const content = format === 'csv' ? this.resultsToCsv() : JSON.stringify(this.exportResults(), null, 2);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.config.id}-results.${format === 'csv' ? 'csv' : 'json'}`;
+    link.style.display = 'none';
+    this.domElement.appendChild(link);
+    link.click();
+    link.parentNode.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  /**
+   * Print the results on their own, without the rest of the page.
+   */
+  printResults() {
+    const existing = this.domElement.querySelector('.convivial-decision-flow__print');
+    if (existing) {
+      existing.parentNode.removeChild(existing);
+    }
+
+    const view = document.createElement('div');
+    view.classList.add('convivial-decision-flow__print');
+    const title = document.createElement('h2');
+    title.textContent = this.message('results');
+    view.appendChild(title);
+    const date = document.createElement('p');
+    date.textContent = new Intl.DateTimeFormat(this.locale, { dateStyle: 'long', timeStyle: 'short' }).format(new Date());
+    view.appendChild(date);
+    if (this.storageData.history.length > 1) {
+      view.appendChild(this._heading('history'));
+      view.appendChild(this._historyList());
+    }
+    const submission = this._submissionList();
+    if (submission) {
+      view.appendChild(this._heading('submission'));
+      view.appendChild(submission);
+    }
+    this.domElement.appendChild(view);
+
+    // style.css only prints the view while the page has the df-printing class.
+    document.documentElement.classList.add('df-printing');
+    window.addEventListener('afterprint', () => {
+      document.documentElement.classList.remove('df-printing');
+      if (view.parentNode) {
+        view.parentNode.removeChild(view);
+      }
+    }, { once: true });
+    window.print();
+  }
+
+  /**
+   * Encode the state of the flow into a compact, URL-safe string.
+   * @returns {string} - The base64url encoded state.
+   */
+  encodeState() {
+    const state = {
+      v: this.version,
+      // Each step as [ID, answer path, assignments], trailing empty items are left out.
+      h: this.storageData.history.map((entry) => {
+        if (entry.stepAssignments && entry.stepAssignments.length) {
+          return [entry.stepID, entry.stepAnswerPath || null, entry.stepAssignments];
+        }
+        return entry.stepAnswerPath ? [entry.stepID, entry.stepAnswerPath] : [entry.stepID];
+      }),
+      d: this.storageData.vars
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode a state encoded by encodeState().
+   * @param {string} encoded - The encoded state.
+   * @returns {Object} - The stored data with history, vars and version.
+   * @throws {Error} - If the state cannot be decoded.
+   */
+  _decodeState(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const state = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0))));
+    if (!state || !Array.isArray(state.h) || !state.h.every(Array.isArray) || typeof state.d !== 'object' || state.d === null || Array.isArray(state.d)) {
+      throw new Error('Unexpected state structure.');
+    }
+
+    // Questions and answers are taken from the markup, not from the URL.
+    const history = state.h.map(([stepID, answerPath, assignments]) => {
+      const step = this.engine.step(String(stepID));
+      const answer = step && answerPath ? step.answers.find(candidate => candidate.path === answerPath) : null;
+      const entry = { stepID: String(stepID), stepQuestion: step && step.question ? step.question : '', stepAnswer: answer ? answer.label : '' };
+      if (answerPath) {
+        entry.stepAnswerPath = String(answerPath);
+      }
+      if (assignments !== undefined) {
+        if (!Array.isArray(assignments) || !assignments.every(change => change && typeof change === 'object' && typeof change.name === 'string')) {
+          throw new Error('Unexpected assignments structure.');
+        }
+        entry.stepAssignments = assignments;
+      }
+      return entry;
+    });
+    if (history.length) {
+      history[0].stepQuestion = '';
+    }
+    return { history, vars: state.d, version: String(state.v), schema: ConvivialDecisionFlow.storageMigrations.length };
+  }
+
+  /**
+   * Check that a decoded state only refers to steps and variables of the flow.
+   * @param {Object} data - The decoded state.
+   * @returns {string|null} - The problem, or null if the state is valid.
+   */
+  _validateSharedState(data) {
+    const step = data.history.find(entry => !this.config.steps.includes(entry.stepID));
+    if (step || !data.history.length) {
+      return step ? `step ${step.stepID} does not exist` : 'the history is empty';
+    }
+
+    const variables = new Set(this.options.variables || []);
+    this.model.steps.forEach((modelStep) => {
+      modelStep.forms.forEach(form => form.fields.forEach((name) => {
+        variables.add(name);
+        variables.add(name + '_label');
+      }));
+      modelStep.answers.filter(answer => answer.set).forEach((answer) => {
+        ConvivialDecisionFlowEngine.parseAssignments(answer.set).assignments.forEach(assignment => variables.add(assignment.name));
+      });
+    });
+    const isPlain = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+    const isValue = value => isPlain(value) || (Array.isArray(value) && value.every(isPlain));
+    const changes = data.history.reduce((all, entry) => all.concat(entry.stepAssignments || []), []);
+    const names = Object.keys(data.vars).concat(changes.map(change => change.name));
+    const unknown = names.find(name => !variables.has(name));
+    if (unknown) {
+      return `variable ${unknown} does not exist`;
+    }
+    const invalid = Object.keys(data.vars).find(name => !isValue(data.vars[name]))
+      || (changes.find(change => !isValue(change.value) || ('previous' in change && !isValue(change.previous))) || {}).name;
+    return invalid ? `variable ${invalid} has an unexpected value` : null;
+  }
+
+  /**
+   * The name of the URL parameter holding a shared state of the flow.
+   * @returns {string} - The parameter name.
+   */
+  _shareParameter() {
+    return 'df-state-' + this.config.id;
+  }
+
+  /**
+   * Build a URL of the current page that opens the flow with its current state.
+   * @returns {string} - The URL.
+   */
+  shareUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set(this._shareParameter(), this.encodeState());
+    return url.toString();
+  }
+
+  /**
+   * Copy the share URL to the clipboard, or let the user copy it when the clipboard is not available.
+   * @returns {Promise} - Resolves once the URL has been copied or shown.
+   */
+  copyShareUrl() {
+    const url = this.shareUrl();
+    const copy = navigator.clipboard && typeof navigator.clipboard.writeText === 'function'
+      ? navigator.clipboard.writeText(url)
+      : Promise.reject(new Error('The clipboard is not available.'));
+    return copy.then(() => {
+      this._announce(this.message('shareCopied'));
+    }).catch(() => {
+      window.prompt(this.message('shareLink'), url);
+    });
+  }
+
+  /**
+   * Read a state shared through the URL, see shareUrl().
+   *
+   * The parameter is removed from the URL, so reloading the page keeps the progress made since.
+   * @returns {Object|null} - The stored data, or null if the URL has no valid state for this flow.
+   */
+  _readSharedState() {
+    if (typeof window === 'undefined' || !window.location) {
+      return null;
+    }
+    const url = new URL(window.location.href);
+    const encoded = url.searchParams.get(this._shareParameter());
+    if (!encoded) {
+      return null;
+    }
+    url.searchParams.delete(this._shareParameter());
+    window.history.replaceState(window.history.state, '', url.toString());
+
+    let data;
+    try {
+      data = this._decodeState(encoded);
+    } catch (e) {
+      console.warn('Cannot read the shared state of convivial decision flow with ID ' + this.config.id + '.', e);
+      return null;
+    }
+    const problem = this._validateSharedState(data);
+    if (problem) {
+      console.warn('Ignoring the shared state of convivial decision flow with ID ' + this.config.id + ': ' + problem + '.');
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Resolve the submit option and the data-df-submit-url attribute into the submission settings.
+   * @returns {Object|null} - The settings, or null if the flow is not submitted anywhere.
+   */
+  _submitSettings() {
+    const submit = typeof this.options.submit === 'string' ? { url: this.options.submit } : this.options.submit || {};
+    const url = submit.url || this.domElement.getAttribute('data-df-submit-url');
+    if (!url) {
+      return null;
+    }
+    return { method: 'POST', headers: {}, credentials: 'same-origin', retries: 3, retryDelay: 1000, timeout: 10000, ...submit, url };
+  }
+
+  /**
+   * Submit the results of the flow to the configured endpoint.
+   *
+   * The payload is queued in storage first, so that it is sent later if the browser is offline
+   * or the endpoint keeps failing.
+   * @param {string} [trigger] - What caused the submission: 'complete', 'form' or 'manual'.
+   * @returns {Promise} - Resolves once the queue has been sent, or kept for later. Rejects if the submission cannot be stored.
+   */
+  submitResults(trigger = 'manual') {
+    if (!this._submitSettings()) {
+      console.warn('Convivial decision flow with ID ' + this.config.id + ' has no submission URL.');
+      return Promise.resolve();
+    }
+
+    const { flow, version, history, vars } = this.exportResults();
+    const payload = {
+      id: typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).slice(2),
+      flow,
+      version,
+      trigger,
+      history,
+      vars,
+      createdAt: new Date().toISOString()
+    };
+
+    // Let integrators veto the submission or change the payload.
+    const beforeEvent = this._dispatch('before-submit', { payload }, true);
+    if (beforeEvent.defaultPrevented) {
+      return Promise.resolve();
+    }
+
+    return this._updateQueue(queue => queue.concat(beforeEvent.detail.payload))
+      .then(() => this.flushSubmissions());
+  }
+
+  /**
+   * Send the queued submissions in order, e.g. when the browser is back online.
+   *
+   * A submission that cannot be sent stops the queue, so that it is retried first next time.
+   * @returns {Promise} - Resolves once the queue has been sent, or kept for later.
+   */
+  flushSubmissions() {
+    const settings = this._submitSettings();
+    if (!settings) {
+      return Promise.resolve();
+    }
+    // Queue the flushes, so that every submission is sent once. The queue is read again after every
+    // submission, submissions may be added meanwhile.
+    this.flushing = (this.flushing || Promise.resolve()).then(() => {
+      const next = () => Promise.resolve(this.queueUpdate).then(() => this._loadQueue()).then((queue) => {
+        if (!queue.length || this.destroyed) {
+          return null;
+        }
+        const payload = queue[0];
+        return this._send(payload, settings).then((result) => {
+          if (result === 'queued') {
+            return null;
+          }
+          return this._updateQueue(current => current.filter(candidate => candidate.id !== payload.id)).then(next);
+        });
+      });
+      return next();
+    }).catch((e) => {
+      console.warn('Cannot send the submissions of convivial decision flow with ID ' + this.config.id + '.', e);
+    });
+    return this.flushing;
+  }
+
+  /**
+   * Send a submission, retrying with an exponential backoff when the request fails.
+   * @param {Object} payload - The submission.
+   * @param {Object} settings - The submission settings.
+   * @param {number} [attempt] - The number of failed attempts so far.
+   * @returns {Promise} - Resolves to 'sent', 'rejected' (the endpoint refused it, it is dropped)
+   *   or 'queued' (offline or failing, it is kept for later).
+   */
+  _send(payload, settings, attempt = 0) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this._dispatch('submit-queued', { payload, error: null });
+      return Promise.resolve('queued');
+    }
+
+    return this._request(payload, settings).then((response) => {
+      if (!response.ok) {
+        const error = new Error(`The endpoint responded with status ${response.status}.`);
+        error.response = response;
+        // Only server errors, timeouts and rate limits may pass on a retry.
+        error.retry = response.status >= 500 || [408, 429].includes(response.status);
+        throw error;
+      }
+      this._dispatch('submit-success', { payload, response });
+      return 'sent';
+    }).catch((error) => {
+      if (error.retry === false) {
+        this._dispatch('submit-error', { payload, error, response: error.response });
+        return 'rejected';
+      }
+      if (attempt < settings.retries && !this.destroyed) {
+        return new Promise((resolve) => {
+          this.retryTimer = setTimeout(resolve, settings.retryDelay * 2 ** attempt);
+        }).then(() => this._send(payload, settings, attempt + 1));
+      }
+      this._dispatch('submit-queued', { payload, error });
+      return 'queued';
+    });
+  }
+
+  /**
+   * Request the endpoint with a submission.
+   * @param {Object} payload - The submission.
+   * @param {Object} settings - The submission settings.
+   * @returns {Promise} - The fetch response.
+   */
+  _request(payload, settings) {
+    const controller = new AbortController();
+    const timeout = settings.timeout ? setTimeout(() => controller.abort(), settings.timeout) : null;
+    return fetch(settings.url, {
+      method: settings.method,
+      headers: { 'Content-Type': 'application/json', ...settings.headers },
+      credentials: settings.credentials,
+      body: JSON.stringify({ ...payload, sentAt: new Date().toISOString() }),
+      signal: controller.signal
+    }).finally(() => clearTimeout(timeout));
+  }
+
+  /**
+   * Change the queued submissions, one change at a time so that none is lost.
+   * @param {Function} change - Gets the queued payloads and returns the new ones.
+   * @returns {Promise} - Resolves once the queue is stored, rejects if it cannot be stored.
+   */
+  _updateQueue(change) {
+    const update = Promise.resolve(this.queueUpdate)
+      .then(() => this._loadQueue())
+      .then(queue => this._saveQueue(change(queue)));
+    // The next change waits for this one, even if it fails.
+    this.queueUpdate = update.catch(() => null);
+    return update;
+  }
+
+  /**
+   * Load the queued submissions.
+   * @returns {Promise} - Resolves to the queued payloads.
+   */
+  _loadQueue() {
+    // The queue is kept in memory as well, in case storage writes wait for consent.
+    if (this.submissionQueue) {
+      return Promise.resolve(this.submissionQueue);
+    }
+    return Promise.resolve(this.storage.load(`convivial-decision-flow.${this.config.id}.submissions`))
+      .then(queue => (Array.isArray(queue) ? queue : []));
+  }
+
+  /**
+   * Store the queued submissions.
+   * @param {Array} queue - The queued payloads.
+   * @returns {Promise|undefined} - The result of the storage adapter.
+   */
+  _saveQueue(queue) {
+    const namespace = `convivial-decision-flow.${this.config.id}.submissions`;
+    this.submissionQueue = queue;
+    if (!queue.length && typeof this.storage.clear === 'function') {
+      this.heldWrites.delete('storage:' + namespace);
+      return this.storage.clear(namespace);
+    }
+    // Adapters without clear() keep an empty queue.
+    return this._whenConsented('storage', 'storage:' + namespace, () => this.storage.save(namespace, queue));
+  }
+
+  /**
+   * Clean HTML by removing specific elements or attributes as needed.
    */
   _cleanHTML() {
-    // Example cleaning process, modify as needed
-    // Remove elements with a specific class or attribute, etc.
-    document.querySelectorAll('#' + this.config.id + ' .step__answer[data-remove]').forEach((el) => {
+    // Remove the elements marked with the 'data-remove' attribute, only within this flow.
+    this.domElement.querySelectorAll('[data-remove]').forEach((el) => {
       el.parentNode.removeChild(el);
     });
+  }
+  /**
+   * Track the back button.
+   */
+  trackBackButton() {
+    if (this.storageData.history.length <= 1) {
+      return;
+    }
+
+    // Let integrators veto the navigation or redirect it to an earlier step in history.
+    const history = this.storageData.history;
+    const beforeEvent = this._dispatch('before-back', {
+      stepId: history[history.length - 1].stepID,
+      nextStepId: history[history.length - 2].stepID
+    }, true);
+    if (beforeEvent.defaultPrevented) {
+      return;
+    }
+
+    // Hide the active step, show the earlier one and track the back action.
+    this.direction = 'back';
+    const events = this._applyEffects(this.engine.back(this.storageData, { nextStepId: beforeEvent.detail.nextStepId }));
+    if (!events.length) {
+      return;
+    }
+
+    // Clean HTML from added elements.
+    this._cleanHTML();
+
+    // Save the storage.
+    this._saveStorage();
+
+    // The vars assigned since that step are undone.
+    this._renderPlaceholders();
+
+    // Refresh the filters for the shortened history.
+    this.filter();
+
+    this._renderChangeNotice();
+
+    this._updateProgress();
+
+    // Toggle Footer.
+    this.toggleFooter();
+
+    // Go back in the browser history as well.
+    this._syncUrlBack();
+
+    this._afterTransition(() => this._focusActiveStep());
+
+    this._dispatchEffects(events);
+  }
+
+  /**
+   * Track the restart button.
+   */
+  trackRestartButton() {
+    // Hide the active step, reset history and vars and show the first step.
+    this.direction = 'back';
+    const events = this._applyEffects(this.engine.restart(this.storageData));
+
+    // Save the storage.
+    this._saveStorage();
+
+    this._renderPlaceholders();
+
+    // Refresh the filters for the empty history and vars.
+    this.filter();
+
+    // An answer being changed is forgotten.
+    this._renderChangeNotice();
+
+    // Toggle Footer.
+    this.toggleFooter();
+
+    // Clean HTML from added elements.
+    this._cleanHTML();
+
+    // Hide and clear the elements with the data-df-show attribute on restart without executing show functions
+    this.domElement.querySelectorAll('[data-df-show]').forEach((element) => {
+      element.innerHTML = '';
+      element.style.display = 'none';
+    });
+
+    // The progress starts over instead.
+    this._updateProgress();
+
+    // Add the first step to the browser history.
+    this._syncUrl();
+
+    this._afterTransition(() => this._focusActiveStep());
+
+    this._dispatchEffects(events);
+  }
+
+  /**
+   * Get the step ID of the decision flow from the URL.
+   * @returns {string|null} - The step ID or null if the URL has none.
+   */
+  _getStepFromUrl() {
+    const params = this.options.history === 'hash'
+      ? this._hashParams(window.location.hash)
+      : new URLSearchParams(window.location.search);
+    return params ? params.get(this.config.id) : null;
+  }
+
+  /**
+   * Parse the URL fragment as the key=value pairs hash history keeps the steps in.
+   * @param {string} hash - The fragment, with or without "#".
+   * @returns {URLSearchParams|null} - The pairs, or null if the fragment is a plain anchor such as "#main".
+   */
+  _hashParams(hash) {
+    const fragment = hash.replace(/^#/, '');
+    if (fragment && !fragment.split('&').every(part => part.includes('='))) {
+      return null;
+    }
+    return new URLSearchParams(fragment);
+  }
+
+  /**
+   * Push or replace the browser history entry with the active step of the decision flow.
+   *
+   * The step is stored in the URL under the flow ID so that several flows can share a page,
+   * and the whole flow history is kept in the history state for the browser forward button.
+   * In hash mode, a fragment that is a plain anchor is left alone and only the history state keeps the step.
+   * @param {boolean} replace - Whether to replace the current entry instead of pushing a new one.
+   */
+  _syncUrl(replace = false) {
+    if (!this.options.history) {
+      return;
+    }
+    const activeStepID = this.storageData.history[this.storageData.history.length - 1].stepID;
+    const url = new URL(window.location.href);
+    if (this.options.history === 'hash') {
+      const params = this._hashParams(url.hash);
+      if (params) {
+        params.set(this.config.id, activeStepID);
+        url.hash = params.toString();
+      }
+    } else {
+      url.searchParams.set(this.config.id, activeStepID);
+    }
+
+    const key = `convivial-decision-flow.${this.config.id}`;
+    const previous = window.history.state && window.history.state[key];
+    const moved = Array.isArray(previous) && previous.length > 0 && previous[previous.length - 1].stepID !== activeStepID;
+    const state = { ...(window.history.state || {}) };
+    state[key] = this.storageData.history.map(entry => ({ ...entry }));
+    if (replace || (url.href === window.location.href && !moved)) {
+      window.history.replaceState(state, '', url.href);
+    } else {
+      // Remember the step of the entry below, see _syncUrlBack().
+      state[key + '.previous'] = moved ? previous[previous.length - 1].stepID : null;
+      window.history.pushState(state, '', url.href);
+    }
+  }
+
+  /**
+   * Update the browser history after the back button of the flow was pressed.
+   *
+   * If the entry below is the step gone back to, the browser goes back to it, so that its
+   * back button does not return to the step just left. Otherwise the current entry is replaced.
+   */
+  _syncUrlBack() {
+    if (!this.options.history) {
+      return;
+    }
+    const activeStepID = this.storageData.history[this.storageData.history.length - 1].stepID;
+    const state = window.history.state;
+    if (state && state[`convivial-decision-flow.${this.config.id}.previous`] === activeStepID) {
+      // The flow is on that step already, _onPopState() finds nothing to restore.
+      window.history.back();
+    } else {
+      this._syncUrl(true);
+    }
+  }
+
+  /**
+   * Restore the active step from the URL if the step is in the stored history.
+   */
+  _restoreStepFromUrl() {
+    if (!this.options.history) {
+      return;
+    }
+    const stepId = this._getStepFromUrl();
+    const index = this.storageData.history.findIndex(step => step.stepID === stepId);
+    if (index !== -1) {
+      this.storageData = this.engine.rewind(this.storageData, index);
+    }
+  }
+
+  /**
+   * Handle the browser back and forward buttons.
+   * @param {PopStateEvent} event - The popstate event.
+   */
+  _onPopState(event) {
+    const snapshot = event.state && event.state[`convivial-decision-flow.${this.config.id}`];
+    let history;
+    if (Array.isArray(snapshot) && snapshot.length > 0 && snapshot.every(entry => this.config.steps.includes(entry.stepID))) {
+      history = snapshot.map(entry => ({ ...entry }));
+    } else {
+      // Without a snapshot, only go back to a step the user has already visited.
+      const stepId = this._getStepFromUrl();
+      const index = stepId ? this.storageData.history.findIndex(step => step.stepID === stepId) : 0;
+      if (index === -1) {
+        return;
+      }
+      history = this.storageData.history.slice(0, index + 1);
+    }
+
+    // Replace the variables assigned by answers with the ones of the restored history.
+    this.direction = history.length < this.storageData.history.length ? 'back' : 'forward';
+    const events = this._applyEffects(this.engine.restore(this.storageData, history));
+    if (!events.length) {
+      return;
+    }
+    this._cleanHTML();
+    this._renderPlaceholders();
+    this.filter();
+    this.functions.show.summary(this);
+    this._renderChangeNotice();
+    this._updateProgress();
+    this._saveStorage();
+    this.toggleFooter();
+    this._afterTransition(() => this._focusActiveStep());
+
+    this._dispatchEffects(events);
+  }
+
+  /**
+   * Track attribute into local storage.
+   */
+  trackAttribute(id) {
+    // Store the outcome cookie of the step.
+    this._applyEffects({ state: this.storageData, effects: this.engine.cookies(id) });
+  }
+
+  /**
+   * Track an action of the decision flow via the configured analytics providers.
+   * @param {string} action - The action, e.g. view, answer, back or restart.
+   * @param {string} stepId - The ID of the step the action relates to.
+   * @param {string|null} answerPath - The data-answer-path of the chosen answer, if any.
+   */
+  trackEvent(action, stepId, answerPath = null) {
+    const event = { flowId: this.config.id, stepId, answerPath: answerPath || null, action };
+
+    this._resolveAnalyticsProviders().forEach((provider) => {
+      try {
+        provider(event, this);
+      } catch (e) {
+        console.warn('Analytics provider failed for convivial decision flow with ID ' + this.config.id + '.', e);
+      }
+    });
+  }
+
+  /**
+   * Track pages via google analytics.
+   * @deprecated Use trackEvent() instead.
+   * @param {string} path - The step ID, optionally followed by "/" and an answer path, "back" or "restart".
+   */
+  trackGA(path) {
+    const [stepId, suffix] = path.split('/');
+    if (!suffix) {
+      this.trackEvent('view', stepId);
+    } else if (suffix === 'back' || suffix === 'restart') {
+      this.trackEvent(suffix, stepId);
+    } else {
+      this.trackEvent('answer', stepId, suffix);
+    }
+  }
+
+  /**
+   * Resolve the analytics option into a list of provider callbacks.
+   * @returns {Function[]} - The analytics providers.
+   */
+  _resolveAnalyticsProviders() {
+    const analytics = this.options.analytics === undefined ? 'auto' : this.options.analytics;
+    const providers = Array.isArray(analytics) ? analytics : [analytics];
+
+    return providers.map((provider) => {
+      if (typeof provider === 'function') {
+        return provider;
+      }
+      if (!ConvivialDecisionFlow.analyticsProviders[provider]) {
+        console.warn(`Analytics provider "${provider}" not found.`);
+        return ConvivialDecisionFlow.analyticsProviders.none;
+      }
+      return ConvivialDecisionFlow.analyticsProviders[provider];
+    });
+  }
+
+  /**
+   * Set cookie.
+   *
+   * The path, domain, SameSite and Secure attributes come from the settings, or else from the cookie option.
+   * The cookie is only written with consent, see the consent option.
+   * @param {string} name - The cookie name.
+   * @param {string} value - The cookie value.
+   * @param {number} [days] - The cookie lifetime, a session cookie when empty.
+   * @param {Object} [settings] - The path, domain, sameSite and secure settings of the cookie.
+   */
+  cookie(name, value, days, settings = {}) {
+    let cookie = encodeURIComponent(name) + '=' + encodeURIComponent(value);
+
+    if (days) {
+      const date = new Date();
+      date.setTime(date.getTime() + days * 24 * 60 * 60 * 1000);
+      cookie += '; expires=' + date.toUTCString();
+    }
+    cookie += this._cookieAttributes(settings);
+    this._whenConsented('cookie', 'cookie:' + name, () => {
+      document.cookie = cookie;
+    });
+  }
+
+  /**
+   * Remove a cookie set by cookie().
+   * @param {string} name - The cookie name.
+   * @param {Object} [settings] - The path and domain the cookie was set with.
+   */
+  removeCookie(name, settings = {}) {
+    // A cookie waiting for consent is not written anymore.
+    this.heldWrites.delete('cookie:' + name);
+    document.cookie = encodeURIComponent(name) + '=; expires=Thu, 01 Jan 1970 00:00:00 GMT' + this._cookieAttributes(settings);
+  }
+
+  /**
+   * Build the attributes of a cookie.
+   * @param {Object} settings - The path, domain, sameSite and secure settings, the cookie option fills in the rest.
+   * @returns {string} - The attributes, each starting with "; ".
+   */
+  _cookieAttributes(settings) {
+    const resolved = { path: '/', domain: null, sameSite: 'None', secure: true, ...this.options.cookie };
+    ['path', 'domain', 'sameSite', 'secure'].filter(key => settings[key] !== undefined).forEach((key) => {
+      resolved[key] = settings[key];
+    });
+
+    let attributes = '; path=' + resolved.path;
+    if (resolved.domain) {
+      attributes += '; domain=' + resolved.domain;
+    }
+    if (resolved.sameSite) {
+      attributes += '; SameSite=' + resolved.sameSite;
+    }
+    if (resolved.secure) {
+      attributes += '; Secure';
+    }
+    return attributes;
+  }
+
+  /**
+   * Resolve the consent option.
+   * @returns {Object|null} - The consent settings, or null if writes do not wait for consent.
+   */
+  _consentSettings() {
+    const consent = this.options.consent;
+    if (!consent) {
+      return null;
+    }
+    const settings = typeof consent === 'function' ? { granted: consent } : typeof consent === 'object' ? consent : {};
+    return { mode: 'hold', event: null, granted: () => this.consentGranted, ...settings };
+  }
+
+  /**
+   * Check if the visitor consents to a kind of write.
+   * @param {string} kind - 'cookie' or 'storage'.
+   * @returns {boolean} - Whether the write is allowed.
+   */
+  _consented(kind) {
+    const consent = this._consentSettings();
+    if (!consent) {
+      return true;
+    }
+    try {
+      return !!consent.granted(kind, this);
+    } catch (e) {
+      this._warnOnce(`Consent callback failed in convivial decision flow with ID ${this.config.id}: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Write now if the visitor consents, otherwise hold the write until they do or drop it, see the consent option.
+   * @param {string} kind - 'cookie' or 'storage'.
+   * @param {string} key - What is written, a held write replaces the earlier one with the same key.
+   * @param {Function} write - The write.
+   * @returns {*} - The result of the write, undefined if it is held or dropped.
+   */
+  _whenConsented(kind, key, write) {
+    if (this._consented(kind)) {
+      this.heldWrites.delete(key);
+      return write();
+    }
+    if (this._consentSettings().mode === 'hold') {
+      this.heldWrites.set(key, { kind, write });
+    }
+    return undefined;
+  }
+
+  /**
+   * Record that the visitor consents to cookies and storage, and carry out the held writes.
+   *
+   * With a consent callback, only the writes it now allows are carried out.
+   */
+  grantConsent() {
+    this.consentGranted = true;
+    this.heldWrites.forEach(({ kind, write }, key) => {
+      if (this._consented(kind)) {
+        this.heldWrites.delete(key);
+        write();
+      }
+    });
+  }
+
+  /**
+   * Initialize custom function calls based on data-df-show attribute.
+   */
+  _initializeFunctionCalls() {
+    this.domElement.querySelectorAll('[data-df-show]').forEach((element) => {
+      const functionName = element.getAttribute('data-df-show');
+      if (functionName) {
+        // Validate the function name
+        const validName = /^[a-zA-Z_$][0-9a-zA-Z_$]*$/.test(functionName);
+        if (validName) {
+          if (this.functions.show && this.functions.show[functionName]) {
+            console.log(`Executing show function: ${functionName}`);
+            this.executeFunction('show', functionName, element);
+          } else {
+            console.warn(`Show function "${functionName}" not defined yet. Skipping execution.`);
+          }
+        } else {
+          console.warn(`Invalid function name: ${functionName}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Find the decision flow of a DOM element.
+   * @param {HTMLElement} domElement - The DOM element of the convivial decision flow.
+   * @returns {ConvivialDecisionFlow|null} - The decision flow, or null if the element is not initialized.
+   */
+  static getInstance(domElement) {
+    return ConvivialDecisionFlow.instances.get(domElement) || null;
+  }
+
+  /**
+   * Initialize the convivial decision flows within a root element.
+   *
+   * Flows that are already initialized, or marked with data-df-auto-init="false", are skipped.
+   * The data-df-storage attribute sets the storage, 'local' by default.
+   * @param {Document|HTMLElement} [root] - The element to search, defaults to the document.
+   * @param {Object} [options] - Constructor options shared by the flows.
+   * @returns {Array} - The decision flows initialized by this call.
+   */
+  static initAll(root = document, options = {}) {
+    const flows = [];
+    root.querySelectorAll('.convivial-decision-flow').forEach((el) => {
+      if (ConvivialDecisionFlow.instances.has(el) || el.getAttribute('data-df-auto-init') === 'false') {
+        return;
+      }
+      if (!el.hasAttribute('id')) {
+        console.warn('Convivial decision flow does not have ID.');
+        return;
+      }
+      const df = new ConvivialDecisionFlow(el, {
+        storage: el.getAttribute('data-df-storage') || 'local',
+        ...options
+      });
+
+      // Hide the history and submission sections on page load if no data
+      const historyElement = el.querySelector('.convivial-decision-flow__history');
+      if (historyElement) {
+        const hasHistory = df.storageData.history && df.storageData.history.length > 1;
+        historyElement.style.display = hasHistory ? 'block' : 'none';
+      }
+
+      const submissionElement = el.querySelector('.convivial-decision-flow__submission');
+      if (submissionElement) {
+        const hasSubmissions = Object.keys(df.storageData.vars).length > 0;
+        submissionElement.style.display = hasSubmissions ? 'block' : 'none';
+      }
+      flows.push(df);
+    });
+    return flows;
+  }
+
+  /**
+   * Render the elements of a JSON flow definition: its steps, then its show elements.
+   *
+   * The elements are created with the document passed in, so a definition can also be
+   * rendered in Node, e.g. by the command-line linter.
+   * @param {Object|string} definition - The flow definition or its JSON string.
+   * @param {Object} [options] - The rendering options.
+   * @param {string} [options.id] - The flow ID, the prefix of the form field IDs.
+   * @param {string} [options.next] - The value of submit buttons without a submit property.
+   * @param {Document} [options.document] - The document to create the elements with, defaults to the page.
+   * @returns {Array} - The elements.
+   * @throws {Error} - If the definition structure is incorrect.
+   */
+  static renderDefinition(definition, options = {}) {
+    options = { next: ConvivialDecisionFlow.messages.en.next, document: typeof document !== 'undefined' ? document : null, ...options };
+    if (typeof definition === 'string') {
+      try {
+        definition = JSON.parse(definition);
+      } catch (e) {
+        throw new Error('Convivial decision flow with ID ' + options.id + ' has an invalid JSON definition.');
+      }
+    }
+    if (!definition || !Array.isArray(definition.steps)) {
+      throw new Error('Please follow proper flow definition structure.');
+    }
+
+    const elements = definition.steps.map(step => ConvivialDecisionFlow.renderDefinitionStep(step, options));
+    (definition.show || []).forEach((name) => {
+      const showElement = options.document.createElement('div');
+      showElement.setAttribute('data-df-show', name);
+      elements.push(showElement);
+    });
+    return elements;
+  }
+
+  /**
+   * Render a single step of a flow definition.
+   * @param {Object} step - The step definition.
+   * @param {Object} options - The options of ConvivialDecisionFlow.renderDefinition().
+   * @returns {HTMLElement} - The step element.
+   */
+  static renderDefinitionStep(step, options) {
+    const { document } = options;
+    const stepElement = document.createElement('div');
+    stepElement.classList.add('step');
+    if (step.id) {
+      stepElement.id = step.id;
+    }
+    if (step.cookie) {
+      stepElement.setAttribute('data-cookie', step.cookie);
+      Object.entries(step.cookieOptions || {}).forEach(([key, value]) => {
+        stepElement.setAttribute('data-cookie-' + key.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase()), String(value));
+      });
+    }
+    if (step.filter) {
+      stepElement.setAttribute('data-df-filter', step.filter);
+    }
+    if (step.route) {
+      stepElement.setAttribute('data-df-router', '');
+      stepElement.setAttribute('data-df-route', step.route);
+    }
+
+    if (step.heading) {
+      const headingElement = document.createElement('h3');
+      headingElement.classList.add('step__heading');
+      headingElement.textContent = step.heading;
+      stepElement.appendChild(headingElement);
+    }
+
+    (step.content || []).forEach((item) => {
+      const paragraphElement = document.createElement('p');
+      if (typeof item === 'string') {
+        paragraphElement.textContent = item;
+      } else {
+        paragraphElement.textContent = item.text || '';
+        if (item.filter) {
+          paragraphElement.setAttribute('data-df-filter', item.filter);
+        }
+      }
+      stepElement.appendChild(paragraphElement);
+    });
+
+    if (step.question) {
+      const questionElement = document.createElement('h4');
+      questionElement.classList.add('step__question');
+      questionElement.textContent = step.question;
+      stepElement.appendChild(questionElement);
+    }
+
+    if (Array.isArray(step.answers) && step.answers.length > 0) {
+      const listElement = document.createElement('ul');
+      step.answers.forEach((answer) => {
+        const itemElement = document.createElement('li');
+        if (answer.filter) {
+          itemElement.setAttribute('data-df-filter', answer.filter);
+        }
+        const answerElement = document.createElement('a');
+        answerElement.classList.add('step__answer');
+        if (answer.next) {
+          answerElement.setAttribute('href', '#' + answer.next);
+        }
+        if (answer.path) {
+          answerElement.setAttribute('data-answer-path', answer.path);
+        }
+        if (answer.set) {
+          answerElement.setAttribute('data-df-set', answer.set);
+        }
+        if (answer.route) {
+          answerElement.setAttribute('data-df-route', answer.route);
+        }
+        answerElement.textContent = answer.label || answer.path || '';
+        itemElement.appendChild(answerElement);
+        listElement.appendChild(itemElement);
+      });
+      stepElement.appendChild(listElement);
+    }
+
+    if (step.form) {
+      stepElement.appendChild(ConvivialDecisionFlow.renderDefinitionForm(step.form, options));
+    }
+
+    (step.show || []).forEach((name) => {
+      const showElement = document.createElement('div');
+      showElement.setAttribute('data-df-show', name);
+      stepElement.appendChild(showElement);
+    });
+
+    return stepElement;
+  }
+
+  /**
+   * Render a form of a flow definition step.
+   * @param {Object} form - The form definition.
+   * @param {Object} options - The options of ConvivialDecisionFlow.renderDefinition().
+   * @returns {HTMLFormElement} - The form element.
+   */
+  static renderDefinitionForm(form, options) {
+    const { document } = options;
+    const formElement = document.createElement('form');
+    formElement.classList.add('df-form');
+    if (form.next) {
+      formElement.setAttribute('action', '#' + form.next);
+    }
+    if (form.route) {
+      formElement.setAttribute('data-df-route', form.route);
+    }
+    if (form.submitResults) {
+      formElement.setAttribute('data-df-submit', '');
+    }
+
+    (form.fields || []).forEach((field) => {
+      const fieldOptions = (field.options || []).map(option => (typeof option === 'object' ? option : { value: option }));
+
+      // Radios and checkboxes with options are rendered as a group of wrapped inputs.
+      if (fieldOptions.length > 0 && (field.type === 'radio' || field.type === 'checkbox')) {
+        const fieldsetElement = document.createElement('fieldset');
+        if (field.label) {
+          const legendElement = document.createElement('legend');
+          legendElement.textContent = field.label;
+          fieldsetElement.appendChild(legendElement);
+        }
+        fieldOptions.forEach((option) => {
+          const labelElement = document.createElement('label');
+          const inputElement = document.createElement('input');
+          inputElement.setAttribute('type', field.type);
+          inputElement.setAttribute('name', field.name);
+          inputElement.setAttribute('value', option.value);
+          if (field.required && field.type === 'radio') {
+            inputElement.setAttribute('required', '');
+          }
+          labelElement.appendChild(inputElement);
+          labelElement.appendChild(document.createTextNode(' ' + (option.label || option.value)));
+          fieldsetElement.appendChild(labelElement);
+        });
+        formElement.appendChild(fieldsetElement);
+        return;
+      }
+
+      const fieldId = options.id + '-' + field.name;
+      if (field.label) {
+        const labelElement = document.createElement('label');
+        labelElement.setAttribute('for', fieldId);
+        labelElement.textContent = field.label;
+        formElement.appendChild(labelElement);
+      }
+
+      let fieldElement;
+      if (fieldOptions.length > 0) {
+        fieldElement = document.createElement('select');
+        if (field.multiple) {
+          fieldElement.setAttribute('multiple', '');
+        }
+        fieldOptions.forEach((option) => {
+          const optionElement = document.createElement('option');
+          optionElement.setAttribute('value', option.value);
+          optionElement.textContent = option.label || option.value;
+          fieldElement.appendChild(optionElement);
+        });
+      } else {
+        fieldElement = document.createElement('input');
+        fieldElement.setAttribute('type', field.type || 'text');
+        if (field.placeholder) {
+          fieldElement.setAttribute('placeholder', field.placeholder);
+        }
+      }
+      fieldElement.id = fieldId;
+      fieldElement.setAttribute('name', field.name);
+      if (field.required) {
+        fieldElement.setAttribute('required', '');
+      }
+      ['min', 'max', 'pattern', 'match', 'validate'].forEach((rule) => {
+        if (field[rule] !== undefined) {
+          fieldElement.setAttribute('data-df-' + rule, field[rule]);
+        }
+      });
+      formElement.appendChild(fieldElement);
+    });
+
+    const submitElement = document.createElement('input');
+    submitElement.setAttribute('type', 'submit');
+    submitElement.setAttribute('value', form.submit || options.next);
+    formElement.appendChild(submitElement);
+
+    return formElement;
+  }
+
+  /**
+   * Describe the structure of a flow: its steps and where their answers, forms and routes lead.
+   *
+   * Only DOM methods that server-side HTML parsers share are used, so the model
+   * can also be built in Node, e.g. by the command-line linter.
+   * @param {HTMLElement} domElement - The DOM element of the convivial decision flow.
+   * @param {Object} [selectors] - Selectors of the flow markup, defaults to ConvivialDecisionFlow.defaultSelectors.
+   * @returns {Object} - The flow model with its ID, steps, data-df-show and data-df-filter elements.
+   */
+  static buildModel(domElement, selectors = ConvivialDecisionFlow.defaultSelectors) {
+    const attribute = (el, name) => el.hasAttribute(name) ? el.getAttribute(name) : null;
+    const text = el => el ? el.textContent.replace(/\s+/g, ' ').trim() : null;
+    // Conditions of the element and its ancestors within the step.
+    const filtersOf = (el, stepElement) => {
+      const filters = [];
+      for (let node = el; node && node !== stepElement; node = node.parentNode) {
+        if (node.hasAttribute && node.hasAttribute('data-df-filter')) {
+          filters.unshift(node.getAttribute('data-df-filter'));
+        }
+      }
+      return filters;
+    };
+    // Outgoing edges of an answer, form or router step.
+    const edgesOf = (el, fallback, details) => {
+      const edges = [];
+      const source = attribute(el, 'data-df-route');
+      let rules = [];
+      let routeError = null;
+      if (source) {
+        try {
+          rules = ConvivialDecisionFlowEngine.parseRoutes(source);
+        } catch (e) {
+          routeError = e.message;
+        }
+      }
+      rules.forEach((rule) => {
+        edges.push({ ...details, element: el, to: rule.destination, condition: rule.conditionSource });
+      });
+      if (fallback !== null && !rules.some(rule => !rule.condition)) {
+        edges.push({ ...details, element: el, to: fallback, condition: null, fallback: rules.length > 0 });
+      }
+      return { route: source, routeError, edges };
+    };
+
+    const model = {
+      id: attribute(domElement, 'id'),
+      definition: !!domElement.querySelector('script.convivial-decision-flow__definition'),
+      steps: [],
+      shows: [],
+      filters: []
+    };
+
+    Array.from(domElement.querySelectorAll(selectors.step)).forEach((stepElement) => {
+      const step = {
+        id: attribute(stepElement, 'id'),
+        element: stepElement,
+        heading: text(stepElement.querySelector(selectors.heading)),
+        question: text(stepElement.querySelector(selectors.question)),
+        cookie: attribute(stepElement, 'data-cookie'),
+        cookieOptions: {},
+        router: stepElement.hasAttribute('data-df-router'),
+        route: null,
+        routeError: null,
+        answers: [],
+        forms: [],
+        edges: []
+      };
+
+      // Cookie settings of the step override the cookie option of the flow.
+      [['days', 'data-cookie-days'], ['path', 'data-cookie-path'], ['domain', 'data-cookie-domain'], ['sameSite', 'data-cookie-same-site'], ['secure', 'data-cookie-secure']].forEach(([key, name]) => {
+        const value = attribute(stepElement, name);
+        if (value !== null) {
+          step.cookieOptions[key] = key === 'days' ? parseFloat(value) : key === 'secure' ? value !== 'false' : value;
+        }
+      });
+
+      if (step.router) {
+        Object.assign(step, edgesOf(stepElement, null, { type: 'route', from: step.id }));
+      }
+
+      Array.from(stepElement.querySelectorAll(selectors.answer)).forEach((answerElement) => {
+        const href = attribute(answerElement, 'href');
+        const answer = {
+          element: answerElement,
+          path: attribute(answerElement, 'data-answer-path'),
+          label: text(answerElement),
+          href,
+          next: href === null ? null : href.replace('#', ''),
+          set: attribute(answerElement, 'data-df-set'),
+          filters: filtersOf(answerElement, stepElement)
+        };
+        Object.assign(answer, edgesOf(answerElement, answer.next, {
+          type: 'answer',
+          from: step.id,
+          path: answer.path,
+          label: answer.label,
+          filters: answer.filters
+        }));
+        step.answers.push(answer);
+        step.edges.push(...answer.edges);
+      });
+
+      Array.from(stepElement.querySelectorAll(selectors.form)).forEach((formElement) => {
+        const action = attribute(formElement, 'action');
+        const form = {
+          element: formElement,
+          action,
+          next: action === null ? null : action.replace('#', ''),
+          fields: Array.from(formElement.querySelectorAll('input, select, textarea'))
+            .filter(field => field.getAttribute('name') && !['submit', 'button', 'reset'].includes((field.getAttribute('type') || '').toLowerCase()))
+            .map(field => field.getAttribute('name'))
+            .filter((name, index, names) => names.indexOf(name) === index),
+          filters: filtersOf(formElement, stepElement)
+        };
+        Object.assign(form, edgesOf(formElement, form.next, {
+          type: 'form',
+          from: step.id,
+          filters: form.filters
+        }));
+        step.forms.push(form);
+        step.edges.push(...form.edges);
+      });
+
+      model.steps.push(step);
+    });
+
+    Array.from(domElement.querySelectorAll('[data-df-show]')).forEach((el) => {
+      const stepElement = el.closest(selectors.step);
+      model.shows.push({ element: el, name: el.getAttribute('data-df-show'), step: stepElement ? attribute(stepElement, 'id') : null });
+    });
+
+    Array.from(domElement.querySelectorAll('[data-df-filter]')).forEach((el) => {
+      const stepElement = el.closest(selectors.step);
+      model.filters.push({ element: el, source: el.getAttribute('data-df-filter'), step: stepElement ? attribute(stepElement, 'id') : null });
+    });
+
+    return model;
+  }
+
+  /**
+   * Build the step graph of a flow.
+   *
+   * Edges are labelled with the answer path and carry the conditions of their
+   * data-df-filter wrappers and routing rules.
+   * @param {HTMLElement} domElement - The DOM element of the convivial decision flow, or a parsed HTML element.
+   * @returns {Object} - The graph with its ID, nodes and edges.
+   */
+  static buildGraph(domElement) {
+    const model = ConvivialDecisionFlow.buildModel(domElement);
+    const nodes = model.steps.filter(step => step.id).map(step => ({
+      id: step.id,
+      label: step.heading || step.question || step.id,
+      heading: step.heading,
+      question: step.question,
+      router: step.router,
+      // Matches ConvivialDecisionFlowEngine.isTerminal(): nothing left to answer.
+      terminal: !step.router && !step.answers.length && !step.forms.length,
+      outcome: !!step.cookie,
+      cookie: step.cookie,
+      missing: false
+    }));
+    const edges = [];
+
+    model.steps.filter(step => step.id).forEach((step) => {
+      step.edges.forEach((edge) => {
+        if (!nodes.some(node => node.id === edge.to)) {
+          nodes.push({ id: edge.to, label: edge.to, heading: null, question: null, router: false, terminal: false, outcome: false, cookie: null, missing: true });
+        }
+        edges.push({
+          from: step.id,
+          to: edge.to,
+          type: edge.type,
+          path: edge.path || null,
+          label: edge.label || null,
+          conditions: (edge.filters || []).concat(edge.condition ? [edge.condition] : []),
+          fallback: !!edge.fallback
+        });
+      });
+    });
+
+    return { id: model.id, nodes, edges };
+  }
+
+  /**
+   * Export the step graph of a flow as a diagram.
+   * @param {HTMLElement} domElement - The DOM element of the convivial decision flow, or a parsed HTML element.
+   * @param {string} [format] - A format of ConvivialDecisionFlow.graphFormats: 'mermaid' (default), 'dot' or 'json'.
+   * @returns {string} - The diagram source.
+   * @throws {Error} - If the format is unknown.
+   */
+  static exportGraph(domElement, format = 'mermaid') {
+    const formatter = ConvivialDecisionFlow.graphFormats[format];
+    if (!formatter) {
+      throw new Error(`Unknown graph format "${format}".`);
+    }
+    return formatter(ConvivialDecisionFlow.buildGraph(domElement));
+  }
+
+  /**
+   * Label lines of a graph edge: the answer path and the conditions of the edge.
+   * @param {Object} edge - The graph edge.
+   * @returns {Array} - The label lines.
+   */
+  static graphEdgeLabel(edge) {
+    const lines = edge.path ? [edge.path] : [];
+    edge.conditions.forEach(condition => lines.push('if ' + condition));
+    if (edge.fallback) {
+      lines.push('otherwise');
+    }
+    return lines;
+  }
+}
+
+/**
+ * Parser of the data-df-filter expression language.
+ *
+ * Grammar, from the lowest to the highest precedence:
+ *   or      := and (("," | "||" | "or") and)*
+ *   and     := unary (("+" | "&&" | "and") unary)*
+ *   unary   := ("!" | "not") unary | compare
+ *   compare := operand [operator operand]
+ *   operand := "(" or ")" | string | number | call | name
+ *   call    := name "(" [operand ("," operand)*] ")"
+ */
+class ConvivialDecisionFlowExpression {
+  /**
+   * Parse an expression into a syntax tree.
+   * @param {string} source - The expression.
+   * @returns {Object} - The root node of the syntax tree.
+   * @throws {SyntaxError} - If the expression is invalid.
+   */
+  static parse(source) {
+    const parser = new ConvivialDecisionFlowExpression(source);
+    const node = parser.parseOr();
+    if (parser.peek()) {
+      parser.fail(`Unexpected "${parser.peek().value}"`);
+    }
+    return node;
+  }
+
+  /**
+   * @param {string} source - The expression.
+   */
+  constructor(source) {
+    this.source = source;
+    this.tokens = ConvivialDecisionFlowExpression.tokenize(source);
+    this.position = 0;
+  }
+
+  /**
+   * Split an expression into tokens.
+   * @param {string} source - The expression.
+   * @returns {Array} - The tokens with their type, value and offset.
+   * @throws {SyntaxError} - If the expression contains an unterminated literal.
+   */
+  static tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+      const char = source[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      const symbol = ['&&', '||', '==', '!=', '>=', '<=', '(', ')', ',', '+', '!', '>', '<', '='].find(candidate => source.startsWith(candidate, i));
+      const previous = tokens[tokens.length - 1];
+
+      if (char === '"' || char === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== char) {
+          if (source[j] === '\\' && j + 1 < source.length) {
+            j++;
+          }
+          value += source[j];
+          j++;
+        }
+        if (j >= source.length) {
+          throw new SyntaxError(`Unterminated string at position ${i}`);
+        }
+        tokens.push({ type: 'string', value, offset: i });
+        i = j + 1;
+      } else if (char === '/' && previous && previous.type === 'word' && previous.value === 'matches') {
+        const match = source.slice(i).match(/^\/((?:\\.|[^\\/])+)\/([a-z]*)/);
+        if (!match) {
+          throw new SyntaxError(`Unterminated regular expression at position ${i}`);
+        }
+        tokens.push({ type: 'regexp', value: ConvivialDecisionFlowExpression.regexp(match[1], match[2], i), offset: i });
+        i += match[0].length;
+      } else if (symbol) {
+        tokens.push({ type: 'symbol', value: symbol, offset: i });
+        i += symbol.length;
+      } else {
+        const match = source.slice(i).match(/^[^\s()!,+&|=<>"']+/);
+        if (!match) {
+          throw new SyntaxError(`Unexpected "${char}" at position ${i}`);
+        }
+        tokens.push({ type: 'word', value: match[0], offset: i });
+        i += match[0].length;
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Compile a regular expression of an expression.
+   * @param {string} pattern - The pattern.
+   * @param {string} flags - The flags.
+   * @param {number} offset - The position of the pattern in the expression.
+   * @returns {RegExp} - The regular expression.
+   * @throws {SyntaxError} - If the pattern or the flags are invalid.
+   */
+  static regexp(pattern, flags, offset) {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (e) {
+      throw new SyntaxError(`Invalid regular expression "${pattern}" at position ${offset}`);
+    }
+  }
+
+  /**
+   * Get the current token without consuming it.
+   * @returns {Object|undefined} - The token.
+   */
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  /**
+   * Consume the current token if it matches one of the values.
+   * @param {...string} values - The accepted symbol or keyword values.
+   * @returns {Object|null} - The consumed token or null.
+   */
+  accept(...values) {
+    const token = this.peek();
+    if (token && (token.type === 'symbol' || token.type === 'word') && values.includes(token.value)) {
+      this.position++;
+      return token;
+    }
+    return null;
+  }
+
+  /**
+   * Consume the current token, which must match the value.
+   * @param {string} value - The expected symbol.
+   */
+  expect(value) {
+    if (!this.accept(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+  }
+
+  /**
+   * Throw a syntax error pointing at the current token.
+   * @param {string} message - The error message.
+   * @throws {SyntaxError} - Always.
+   */
+  fail(message) {
+    const token = this.peek();
+    throw new SyntaxError(token ? `${message} at position ${token.offset}` : `${message} at the end of the expression`);
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.accept(',', '||', 'or')) {
+      node = { type: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseUnary();
+    while (this.accept('+', '&&', 'and')) {
+      node = { type: 'and', left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.accept('!', 'not')) {
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    return this.parseCompare();
+  }
+
+  parseCompare() {
+    const left = this.parseOperand();
+    const token = this.accept(...Object.keys(ConvivialDecisionFlowExpression.operators), 'any', 'all');
+    if (!token) {
+      return left;
+    }
+    // "any of" and "all of" are written as two words.
+    if (token.value === 'any' || token.value === 'all') {
+      this.expect('of');
+    }
+    const operator = ConvivialDecisionFlowExpression.operators[token.value] || token.value + 'of';
+    const valueToken = this.peek();
+    let right = ['in', 'anyof', 'allof'].includes(operator) ? this.parseList() : this.parseValue();
+    // Compile quoted patterns now, as regular expression literals are, so that invalid ones are reported here.
+    if (operator === 'matches' && right.type === 'literal' && typeof right.value === 'string') {
+      right = { type: 'literal', value: ConvivialDecisionFlowExpression.regexp(right.value, '', valueToken.offset) };
+    }
+    return { type: 'compare', operator, left: left.type === 'word' ? { type: 'variable', name: left.name } : left, right };
+  }
+
+  /**
+   * Parse an operand in a value position, where a bare word is a string literal.
+   * @returns {Object} - The operand node.
+   */
+  parseValue() {
+    const node = this.parseOperand();
+    return node.type === 'word' ? { type: 'literal', value: node.name } : node;
+  }
+
+  parseList() {
+    this.expect('(');
+    const items = [];
+    if (!this.accept(')')) {
+      do {
+        items.push(this.parseValue());
+      } while (this.accept(','));
+      this.expect(')');
+    }
+    return { type: 'list', items };
+  }
+
+  parseOperand() {
+    const token = this.peek();
+    if (!token) {
+      this.fail('Expected a value');
+    }
+
+    if (this.accept('(')) {
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+    if (token.type === 'string' || token.type === 'regexp') {
+      this.position++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type !== 'word') {
+      this.fail(`Unexpected "${token.value}"`);
+    }
+
+    this.position++;
+    if (/^-?\d+(\.\d+)?$/.test(token.value)) {
+      return { type: 'literal', value: parseFloat(token.value) };
+    }
+    if (token.value === 'true' || token.value === 'false') {
+      return { type: 'literal', value: token.value === 'true' };
+    }
+    if (token.value.startsWith('vars.')) {
+      return { type: 'variable', name: token.value.slice(5) };
+    }
+    const next = this.peek();
+    if (next && next.type === 'symbol' && next.value === '(' && next.offset === token.offset + token.value.length) {
+      this.position++;
+      const args = [];
+      if (!this.accept(')')) {
+        do {
+          args.push(this.parseValue());
+        } while (this.accept(','));
+        this.expect(')');
+      }
+      return { type: 'call', name: token.value, args };
+    }
+    return { type: 'word', name: token.value };
+  }
+}
+
+/**
+ * Comparison operators of the expression language and their compare() names.
+ */
+ConvivialDecisionFlowExpression.operators = {
+  '==': 'eq', '=': 'eq', eq: 'eq',
+  '!=': 'ne', ne: 'ne',
+  '>': 'gt', gt: 'gt',
+  '>=': 'gte', gte: 'gte',
+  '<': 'lt', lt: 'lt',
+  '<=': 'lte', lte: 'lte',
+  in: 'in',
+  contains: 'contains',
+  matches: 'matches'
+};
+
+/**
+ * Headless state machine of a decision flow.
+ *
+ * The engine takes the flow model (see ConvivialDecisionFlow.buildModel()) and turns
+ * actions into a new state and a list of effects without touching the DOM, so a flow
+ * can run in Node, in a worker or behind any UI. The state is the stored data of a
+ * flow ({ history, vars }) and is never modified in place.
+ *
+ * Every action returns { state, effects }. Effects are plain objects with a type:
+ *   leave    { stepId }                      - The step is left and should be hidden.
+ *   enter    { stepId }                      - The step is entered and should be shown.
+ *   track    { action, stepId, answerPath }  - An analytics event to track.
+ *   cookie   { stepId, name, value, days }   - An outcome cookie of a step to set, with the path, domain,
+ *                                            sameSite and secure settings the step overrides.
+ *   remove-cookie { stepId, name }           - An outcome cookie of a step that left the history to remove.
+ *   dispatch { event, detail }               - A lifecycle event to dispatch.
+ *   warn     { message }                     - A problem to report.
+ */
+class ConvivialDecisionFlowEngine {
+  /**
+   * @param {Object} model - The flow model with its ID and steps.
+   * @param {Object} [options] - Additional options.
+   * @param {Object} [options.functions] - Custom functions, the ones in functions.filter can be called by expressions.
+   */
+  constructor(model, options = {}) {
+    this.model = model;
+    this.functions = options.functions || {};
+    this.expressions = new Map(); // Parsed expressions by source.
+    this.routes = new Map(); // Parsed routing rules by source.
+  }
+
+  /**
+   * Parse the routing rules of a data-df-route attribute.
+   *
+   * Rules are separated by ";" and evaluated in order. A rule is "condition -> #step-id",
+   * using the data-df-filter syntax for the condition; a rule without a condition is the default.
+   * @param {string} source - The attribute value.
+   * @returns {Array} - The rules with the condition source and syntax tree (or null) and the destination step ID.
+   * @throws {SyntaxError} - If a condition is invalid.
+   */
+  static parseRoutes(source) {
+    const rules = [];
+    let rule = '';
+    let quote = null;
+    // Split on ";" outside of quoted strings.
+    for (const char of source + ';') {
+      if (quote) {
+        quote = char === quote ? null : quote;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === ';') {
+        if (rule.trim()) {
+          rules.push(rule.trim());
+        }
+        rule = '';
+        continue;
+      }
+      rule += char;
+    }
+
+    return rules.map((text) => {
+      const arrow = text.lastIndexOf('->');
+      const destination = (arrow === -1 ? text : text.slice(arrow + 2)).trim().replace(/^#/, '');
+      const conditionSource = arrow === -1 ? null : text.slice(0, arrow).trim();
+      const condition = conditionSource === null ? null : ConvivialDecisionFlowExpression.parse(conditionSource);
+      return { condition, conditionSource, destination };
+    });
+  }
+
+  /**
+   * Parse the assignments of a data-df-set attribute, e.g. "risk+=3; plan=premium".
+   * @param {string} source - The attribute value.
+   * @returns {Object} - The assignments with name, operator and value, and the invalid parts.
+   */
+  static parseAssignments(source) {
+    const assignments = [];
+    const invalid = [];
+    source.split(';').forEach((part) => {
+      if (!part.trim()) {
+        return;
+      }
+      const match = part.match(/^\s*([A-Za-z_$][\w$-]*)\s*(\+=|-=|=)\s*(.*?)\s*$/);
+      if (!match) {
+        invalid.push(part.trim());
+        return;
+      }
+      let value = match[3];
+      if (/^(["']).*\1$/.test(value)) {
+        value = value.slice(1, -1);
+      } else if (value !== '' && !isNaN(value)) {
+        value = parseFloat(value);
+      } else if (value === 'true' || value === 'false') {
+        value = value === 'true';
+      }
+      assignments.push({ name: match[1], operator: match[2], value });
+    });
+    return { assignments, invalid };
+  }
+
+  /**
+   * Parse a data-cookie attribute, e.g. "outcome=eligible; segment=adult".
+   * @param {string} source - The attribute value.
+   * @returns {Object} - The cookies with their name and value, and the invalid parts.
+   */
+  static parseCookies(source) {
+    const cookies = [];
+    const invalid = [];
+    source.split(';').forEach((part) => {
+      if (!part.trim()) {
+        return;
+      }
+      const match = part.match(/^\s*([\w!#$%&'*+.^`|~-]+)=(.*?)\s*$/);
+      if (!match) {
+        invalid.push(part.trim());
+        return;
+      }
+      cookies.push({ name: match[1], value: match[2] });
+    });
+    return { cookies, invalid };
+  }
+
+  /**
+   * Compare a value with an operator, e.g. ConvivialDecisionFlowEngine.compare(age, 'gte', 18).
+   * @param {*} variableValue - The value to compare.
+   * @param {string} operator - The operator name.
+   * @param {*} comparator - The value to compare with.
+   * @returns {boolean} - The result of the comparison.
+   */
+  static compare(variableValue, operator, comparator) {
+    switch (operator) {
+      case 'in':
+      case 'anyof': {
+        const values = Array.isArray(variableValue) ? variableValue : [variableValue];
+        return Array.isArray(comparator) && comparator.some(item => values.some(value => ConvivialDecisionFlowEngine.compare(value, 'eq', item)));
+      }
+      case 'allof': {
+        const values = Array.isArray(variableValue) ? variableValue : [variableValue];
+        return Array.isArray(comparator) && comparator.every(item => values.some(value => ConvivialDecisionFlowEngine.compare(value, 'eq', item)));
+      }
+      case 'contains':
+        if (Array.isArray(variableValue)) {
+          return variableValue.some(value => ConvivialDecisionFlowEngine.compare(value, 'eq', comparator));
+        }
+        return variableValue !== undefined && variableValue !== null && String(variableValue).includes(String(comparator));
+      case 'matches':
+        if (variableValue === undefined || variableValue === null) {
+          return false;
+        }
+        try {
+          return (comparator instanceof RegExp ? comparator : new RegExp(comparator)).test(String(variableValue));
+        } catch (e) {
+          // Only a pattern taken from a variable is compiled here, an invalid one matches nothing.
+          return false;
+        }
+      case 'empty': return variableValue === '' || variableValue === undefined || variableValue === null || (Array.isArray(variableValue) && variableValue.length === 0);
+    }
+
+    // Booleans come from single checkboxes, compare them with true/false literals or strings.
+    if (typeof variableValue === 'boolean' || typeof comparator === 'boolean') {
+      const toBoolean = value => value === true || value === 'true' || value === 1 || value === '1';
+      if (operator === 'eq') return toBoolean(variableValue) === toBoolean(comparator);
+      if (operator === 'ne') return toBoolean(variableValue) !== toBoolean(comparator);
+      return false;
+    }
+
+    // Compare ISO dates (from date inputs) as dates, "today" stands for the current date.
+    const isoDate = /^\d{4}-\d{2}-\d{2}/;
+    if (comparator === 'today') comparator = new Date().toISOString().slice(0, 10);
+    if (isoDate.test(variableValue) && isoDate.test(comparator)) {
+      variableValue = Date.parse(variableValue);
+      comparator = Date.parse(comparator);
+    }
+
+    if (!isNaN(variableValue)) variableValue = parseFloat(variableValue);
+    if (!isNaN(comparator)) comparator = parseFloat(comparator);
+
+    switch (operator) {
+      case 'gt': return variableValue > comparator;
+      case 'gte': return variableValue >= comparator;
+      case 'lt': return variableValue < comparator;
+      case 'lte': return variableValue <= comparator;
+      case 'eq': return variableValue == comparator; // use == for type coercion
+      case 'ne': return variableValue != comparator;
+      default: return false;
+    }
+  }
+
+  /**
+   * Check whether a variable value counts as set.
+   * @param {*} value - The variable value.
+   * @returns {boolean} - Whether the value is truthy.
+   */
+  static isTruthy(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return value !== undefined && value !== null && value !== '' && value !== false && value !== 'false';
+  }
+
+  /**
+   * Get a step of the model.
+   * @param {string} stepId - The step ID.
+   * @returns {Object|null} - The step or null if the flow has no such step.
+   */
+  step(stepId) {
+    return this.model.steps.find(step => step.id === stepId) || null;
+  }
+
+  /**
+   * Get the history entry of the active step.
+   * @param {Object} state - The flow state.
+   * @returns {Object} - The last history entry.
+   */
+  activeStep(state) {
+    return state.history[state.history.length - 1];
+  }
+
+  /**
+   * Check if a step is terminal, i.e. has no answers and no form to continue.
+   * @param {string} stepId - The step ID.
+   * @returns {boolean} - Whether the step is terminal.
+   */
+  isTerminal(stepId) {
+    const step = this.step(stepId);
+    return !!step && !step.answers.length && !step.forms.length;
+  }
+
+  /**
+   * Check if the data-df-filter conditions of an answer, form or edge are met.
+   * @param {Object} state - The flow state.
+   * @param {Object} item - The answer, form or edge.
+   * @returns {boolean} - Whether it is available, conditions that cannot be evaluated are not met.
+   */
+  available(state, item) {
+    return (item.filters || []).every((source) => {
+      try {
+        return !!this.evaluate(state, source, item.element || null);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Estimate how far the user is through the flow.
+   *
+   * Walks the answers, forms and routes from the active step to the steps that end the flow.
+   * Answers and forms whose data-df-filter conditions are not met with the current state are
+   * skipped. Routing conditions are not evaluated, later answers may still change their outcome.
+   * Router steps are not counted, they are never shown, and loops are not followed.
+   * @param {Object} state - The flow state.
+   * @returns {Object} - The number of the active step, and the fewest and most steps that may follow it.
+   */
+  progress(state) {
+    const edgesFrom = new Map();
+    const edgesOf = (stepId) => {
+      if (!edgesFrom.has(stepId)) {
+        edgesFrom.set(stepId, this.step(stepId).edges.filter(edge => this.step(edge.to) && this.available(state, edge)));
+      }
+      return edgesFrom.get(stepId);
+    };
+    const reachable = new Map();
+    const reach = (stepId) => {
+      if (!reachable.has(stepId)) {
+        const found = new Set();
+        const stack = [stepId];
+        while (stack.length) {
+          edgesOf(stack.pop()).filter(edge => !found.has(edge.to)).forEach((edge) => {
+            found.add(edge.to);
+            stack.push(edge.to);
+          });
+        }
+        reachable.set(stepId, found);
+      }
+      return reachable.get(stepId);
+    };
+
+    // Only the steps of the path that can be reached again cut the walk, so a result holds
+    // for every path with the same of them. Outside of loops, that is none.
+    const known = new Map();
+    const remaining = (stepId, path) => {
+      const key = [stepId].concat(path.filter(id => reach(stepId).has(id)).sort()).join(' ');
+      if (known.has(key)) {
+        return known.get(key);
+      }
+      const result = { shortest: 0, longest: 0 };
+      const next = edgesOf(stepId)
+        .filter(edge => !path.includes(edge.to))
+        .map((edge) => {
+          const weight = this.step(edge.to).router ? 0 : 1;
+          const after = remaining(edge.to, path.concat(edge.to));
+          return { shortest: weight + after.shortest, longest: weight + after.longest };
+        });
+      if (next.length) {
+        result.shortest = Math.min(...next.map(candidate => candidate.shortest));
+        result.longest = Math.max(...next.map(candidate => candidate.longest));
+      }
+      known.set(key, result);
+      return result;
+    };
+
+    const active = this.activeStep(state);
+    const current = state.history.length;
+    if (!active || !this.step(active.stepID)) {
+      return { current, shortest: 0, longest: 0 };
+    }
+    const { shortest, longest } = remaining(active.stepID, [active.stepID]);
+    return { current, shortest, longest };
+  }
+
+  /**
+   * Create the state of a flow that has not been started yet.
+   * @returns {Object} - The state with the first step in history and no vars.
+   */
+  initialState() {
+    const firstStep = this.model.steps[0];
+    return {
+      history: [{ stepID: firstStep ? firstStep.id : null, stepQuestion: '', stepAnswer: '' }],
+      vars: {}
+    };
+  }
+
+  /**
+   * Enter the active step, e.g. when the flow is shown.
+   *
+   * A router step, e.g. the first step, forwards the user right away.
+   * @param {Object} state - The flow state.
+   * @returns {Object} - The state and effects.
+   */
+  start(state) {
+    const effects = [];
+    state = this._forwardRouter(state, effects);
+    const stepId = this.activeStep(state).stepID;
+    return {
+      state,
+      effects: [
+        ...effects,
+        { type: 'track', action: 'view', stepId, answerPath: null },
+        { type: 'enter', stepId },
+        { type: 'dispatch', event: 'step-enter', detail: { stepId, previousStepId: null } }
+      ]
+    };
+  }
+
+  /**
+   * Answer the active step.
+   *
+   * The variable assignments and routing rules of the chosen answer are applied,
+   * then router steps are followed to the destination.
+   * @param {Object} state - The flow state.
+   * @param {Object} [action] - The answer.
+   * @param {Object|number|string} [action.answer] - The chosen answer of the active step: its model, index or answer path.
+   * @param {string|null} [action.answerPath] - The answer path to record, defaults to the one of the answer.
+   * @param {string} [action.nextStepId] - The destination, defaults to the href of the answer.
+   * @param {boolean} [action.route] - Whether to apply the routing rules of the answer, true by default.
+   * @returns {Object} - The state and effects.
+   */
+  answer(state, action = {}) {
+    const next = this._copy(state);
+    const current = this.activeStep(next);
+    const step = this.step(current.stepID);
+    if (!step) {
+      return { state, effects: [this._warning(`Active step with ID ${current.stepID} not found`)] };
+    }
+
+    const answer = this._find(step.answers, action.answer, 'path');
+    const answerPath = action.answerPath !== undefined ? action.answerPath : (answer ? answer.path : null);
+    let nextStepId = action.nextStepId !== undefined ? action.nextStepId : (answer ? answer.next : null);
+    const effects = [];
+
+    if (answerPath) {
+      effects.push({ type: 'track', action: 'answer', stepId: current.stepID, answerPath });
+      current.stepAnswerPath = answerPath;
+    }
+    if (answer) {
+      current.stepAnswer = answer.label || '';
+      if (answer.set) {
+        this._assign(next, current, answer.set, effects);
+      }
+      // Route the answer with the updated vars.
+      if (action.route !== false) {
+        nextStepId = this.route(next, answer, nextStepId, effects);
+      }
+    }
+
+    return this._resume(this._moveTo(state, next, nextStepId, effects, answerPath));
+  }
+
+  /**
+   * Submit a form of the active step.
+   *
+   * The values are merged into the vars and the routing rules of the form pick the destination.
+   * @param {Object} state - The flow state.
+   * @param {Object} action - The submission.
+   * @param {Object} action.values - The form values, see ConvivialDecisionFlow._readFormValues().
+   * @param {Object|number} [action.form] - The submitted form of the active step: its model or index, defaults to the first one.
+   * @param {string} [action.nextStepId] - The destination if no routing rule matches, defaults to the form action.
+   * @param {boolean} [action.move] - Whether to move to the destination, true by default. Otherwise the destination
+   *   is only resolved, e.g. to let integrators veto it before calling answer().
+   * @returns {Object} - The state, effects and the ID of the destination step.
+   */
+  submit(state, action) {
+    const next = this._copy(state);
+    next.vars = { ...next.vars, ...action.values };
+    const current = this.activeStep(next);
+    // Kept to clear the values when an earlier answer is changed, see change().
+    current.stepValues = { ...action.values };
+    const step = this.step(current.stepID);
+    const form = step ? this._find(step.forms, action.form === undefined ? 0 : action.form) : null;
+    const effects = [{
+      type: 'dispatch',
+      event: 'form-submit',
+      detail: { stepId: current.stepID, form: form && form.element ? form.element : form, values: action.values }
+    }];
+
+    let nextStepId = action.nextStepId !== undefined ? action.nextStepId : (form ? form.next : null);
+    if (form) {
+      nextStepId = this.route(next, form, nextStepId, effects);
+    }
+    if (action.move === false) {
+      return { state: next, effects, nextStepId };
+    }
+    return { ...this._resume(this._moveTo(next, next, nextStepId, effects, null)), nextStepId };
+  }
+
+  /**
+   * Go back to an earlier step, undoing the assignments of the answers chosen since.
+   * @param {Object} state - The flow state.
+   * @param {Object} [action] - The navigation.
+   * @param {string} [action.nextStepId] - The step in history to go back to, defaults to the previous one.
+   * @returns {Object} - The state and effects.
+   */
+  back(state, action = {}) {
+    const history = state.history;
+    if (history.length <= 1) {
+      return { state, effects: [] };
+    }
+    const targetId = action.nextStepId !== undefined ? action.nextStepId : history[history.length - 2].stepID;
+    const index = history.findIndex(step => step.stepID === targetId);
+    if (index === -1 || index === history.length - 1) {
+      return { state, effects: [{ type: 'warn', message: `Step with ID ${targetId} is not an earlier step in history.` }] };
+    }
+
+    const current = this.activeStep(state);
+    const next = this.rewind(state, index);
+    const previous = this.activeStep(next);
+    return {
+      state: next,
+      effects: [
+        { type: 'leave', stepId: current.stepID },
+        { type: 'enter', stepId: previous.stepID },
+        { type: 'track', action: 'back', stepId: previous.stepID, answerPath: null },
+        ...this._removeCookies(state.history.slice(index + 1), next.history),
+        ...this.cookies(previous.stepID),
+        { type: 'dispatch', event: 'back', detail: { stepId: current.stepID, nextStepId: previous.stepID } },
+        { type: 'dispatch', event: 'step-leave', detail: { stepId: current.stepID } },
+        { type: 'dispatch', event: 'step-enter', detail: { stepId: previous.stepID, previousStepId: current.stepID } }
+      ]
+    };
+  }
+
+  /**
+   * Go back to an earlier step to change its answer.
+   *
+   * The history after the step is removed and the variables set by its answers and forms are cleared.
+   * The removed steps are kept in state.resume: with the 'summary' mode, answering the step
+   * replays their answers and forms as long as the flow takes the same way, see answer().
+   * @param {Object} state - The flow state.
+   * @param {Object} action - The change.
+   * @param {string} action.stepId - The step in history to change the answer of.
+   * @param {string} [action.mode] - 'summary' (default) to return to where the user was, or 'rewalk'
+   *   to answer the later steps again.
+   * @returns {Object} - The state and effects.
+   */
+  change(state, action) {
+    const index = state.history.findIndex(step => step.stepID === action.stepId);
+    if (index === -1 || index === state.history.length - 1) {
+      return { state, effects: [this._warning(`Step with ID ${action.stepId} is not an earlier step in history`)] };
+    }
+
+    const current = this.activeStep(state);
+    const later = state.history.slice(index + 1).map(entry => ({ ...entry }));
+    const next = this.rewind(state, index);
+
+    // Clear the form values of the later steps, unless an earlier form set them as well.
+    const names = new Set();
+    later.forEach(entry => Object.keys(entry.stepValues || {}).forEach(name => names.add(name)));
+    names.forEach((name) => {
+      delete next.vars[name];
+      delete next.vars[name + '_label'];
+    });
+    next.history.forEach((entry) => {
+      Object.keys(entry.stepValues || {}).filter(name => names.has(name)).forEach((name) => {
+        next.vars[name] = entry.stepValues[name];
+      });
+    });
+    next.resume = { mode: action.mode || 'summary', history: later };
+
+    const target = this.activeStep(next);
+    return {
+      state: next,
+      effects: [
+        { type: 'leave', stepId: current.stepID },
+        { type: 'enter', stepId: target.stepID },
+        { type: 'track', action: 'change', stepId: target.stepID, answerPath: null },
+        ...this._removeCookies(later, next.history),
+        ...this.cookies(target.stepID),
+        { type: 'dispatch', event: 'change', detail: { stepId: current.stepID, nextStepId: target.stepID } },
+        { type: 'dispatch', event: 'step-leave', detail: { stepId: current.stepID } },
+        { type: 'dispatch', event: 'step-enter', detail: { stepId: target.stepID, previousStepId: current.stepID } }
+      ]
+    };
+  }
 
-    // Example: Remove any elements with the 'data-remove' attribute
-    document.querySelectorAll('[data-remove]').forEach((el) => {
-      el.parentNode.removeChild(el);
+  /**
+   * Start over from the first step with empty vars.
+   * @param {Object} state - The flow state.
+   * @returns {Object} - The state and effects.
+   */
+  restart(state) {
+    const current = this.activeStep(state);
+    const { resume, ...rest } = state;
+    const effects = [];
+    const next = this._forwardRouter({ ...rest, ...this.initialState() }, effects);
+    const firstStepId = this.activeStep(next).stepID;
+    return {
+      state: next,
+      effects: [
+        ...effects,
+        { type: 'leave', stepId: current.stepID },
+        { type: 'track', action: 'restart', stepId: current.stepID, answerPath: null },
+        { type: 'enter', stepId: firstStepId },
+        { type: 'track', action: 'view', stepId: firstStepId, answerPath: null },
+        ...this._removeCookies(state.history, next.history),
+        ...this.cookies(firstStepId),
+        { type: 'dispatch', event: 'restart', detail: { stepId: current.stepID, nextStepId: firstStepId } },
+        { type: 'dispatch', event: 'step-leave', detail: { stepId: current.stepID } },
+        { type: 'dispatch', event: 'step-enter', detail: { stepId: firstStepId, previousStepId: current.stepID } }
+      ]
+    };
+  }
+
+  /**
+   * Replace the history, e.g. with a snapshot kept in the browser history.
+   *
+   * The variables assigned by answers and set by forms are replaced with the ones of the new history.
+   * @param {Object} state - The flow state.
+   * @param {Array} history - The new history entries.
+   * @returns {Object} - The state and effects, no effects if the active step does not change.
+   */
+  restore(state, history) {
+    const current = this.activeStep(state);
+    const target = history[history.length - 1];
+    if (current.stepID === target.stepID && state.history.length === history.length) {
+      return { state, effects: [] };
+    }
+
+    const next = this._copy(state);
+    this._undo(next, next.history);
+    next.history.forEach((entry) => {
+      Object.keys(entry.stepValues || {}).forEach((name) => {
+        delete next.vars[name];
+      });
     });
+    next.history = history.map(entry => ({ ...entry }));
+    next.history.forEach((entry) => {
+      Object.assign(next.vars, entry.stepValues);
+      (entry.stepAssignments || []).forEach((change) => {
+        next.vars[change.name] = change.value;
+      });
+    });
+
+    return {
+      state: next,
+      effects: [
+        { type: 'leave', stepId: current.stepID },
+        { type: 'enter', stepId: target.stepID },
+        { type: 'track', action: 'view', stepId: target.stepID, answerPath: null },
+        ...this._removeCookies(state.history.filter(entry => !history.some(kept => kept.stepID === entry.stepID)), history),
+        ...this.cookies(target.stepID),
+        { type: 'dispatch', event: 'step-leave', detail: { stepId: current.stepID } },
+        { type: 'dispatch', event: 'step-enter', detail: { stepId: target.stepID, previousStepId: current.stepID } }
+      ]
+    };
   }
+
   /**
-   * Track the back button.
+   * Cut the history back to an earlier entry, undoing the assignments of the answers chosen since.
+   *
+   * The entry gone back to is unanswered again, e.g. answered() is false for it.
+   * @param {Object} state - The flow state.
+   * @param {number} index - The index of the history entry to go back to.
+   * @returns {Object} - The new state.
    */
-  trackBackButton() {
-    if (this.storageData.history.length <= 1) {
-      return;
+  rewind(state, index) {
+    const next = this._copy(state);
+    this._undo(next, next.history.slice(index));
+    next.history = next.history.slice(0, index + 1);
+    const target = next.history[index];
+    target.stepAnswer = '';
+    delete target.stepAnswerPath;
+    delete target.stepAssignments;
+    return next;
+  }
+
+  /**
+   * Describe the outcome cookies of a step.
+   *
+   * Only the settings the step overrides are set, days is null otherwise.
+   * @param {string} stepId - The step ID.
+   * @returns {Array} - The cookie effects, and warnings about invalid cookies.
+   */
+  cookies(stepId) {
+    const step = this.step(stepId);
+    if (!step || !step.cookie) {
+      return [];
     }
+    const { cookies, invalid } = ConvivialDecisionFlowEngine.parseCookies(step.cookie);
+    return invalid.map(part => this._warning(`Invalid data-cookie "${part}" in step ${stepId}`)).concat(cookies.map(cookie => ({
+      type: 'cookie',
+      stepId,
+      ...cookie,
+      days: null,
+      ...step.cookieOptions
+    })));
+  }
 
-    // Hide current/active step.
-    const currentStep = this.storageData.history.pop();
-    this.hide('#' + this.config.id + ' #' + currentStep.stepID);
+  /**
+   * Describe the outcome cookies to remove when steps leave the history.
+   *
+   * A cookie that a step still in the history sets as well gets that step's value back instead.
+   * The cookies of the active step are left to the caller, which sets them after these effects.
+   * @param {Array} removed - The history entries that are removed.
+   * @param {Array} remaining - The history entries that remain.
+   * @returns {Array} - The cookie and remove-cookie effects.
+   */
+  _removeCookies(removed, remaining) {
+    const stepCookies = entries => entries.reduce((all, entry) => all.concat(this.cookies(entry.stepID).filter(effect => effect.type === 'cookie')), []);
+    const kept = stepCookies(remaining);
+    const activeStepId = remaining.length ? remaining[remaining.length - 1].stepID : null;
+    const removedCookies = new Map();
+    stepCookies(removed).forEach(cookie => removedCookies.set(cookie.name, cookie));
+
+    return Array.from(removedCookies.values()).map((cookie) => {
+      const previous = kept.filter(candidate => candidate.name === cookie.name).pop();
+      if (previous) {
+        return previous.stepId === activeStepId ? null : previous;
+      }
+      const removal = { ...cookie, type: 'remove-cookie' };
+      delete removal.value;
+      delete removal.days;
+      return removal;
+    }).filter(effect => effect);
+  }
 
-    // Show the previous step from history.
-    const previousStep = this.storageData.history[this.storageData.history.length - 1];
-    this.show('#' + this.config.id + ' #' + previousStep.stepID);
+  /**
+   * Resolve the destination of an answer, form or router step from its routing rules.
+   * @param {Object} state - The flow state.
+   * @param {Object} item - The answer, form or step model with its data-df-route source.
+   * @param {string} fallback - The destination if no rule matches.
+   * @param {Array} [effects] - The effects to add warnings to.
+   * @returns {string} - The destination step ID.
+   */
+  route(state, item, fallback, effects = []) {
+    if (!item.route) {
+      return fallback;
+    }
 
-    // Track current step.
-    this.trackGA(previousStep.stepID + '/back');
+    let rules = this.routes.get(item.route);
+    if (!rules) {
+      try {
+        rules = ConvivialDecisionFlowEngine.parseRoutes(item.route);
+      } catch (e) {
+        rules = [];
+        effects.push(this._warning(`Invalid data-df-route "${item.route}": ${e.message}`));
+      }
+      this.routes.set(item.route, rules);
+    }
 
-    // Clean HTML from added elements.
-    this._cleanHTML();
+    const rule = rules.find(candidate => !candidate.condition || this.evaluate(state, candidate.condition, item.element || null));
+    return rule ? rule.destination : fallback;
+  }
 
-    // Save the storage.
-    this._saveStorage();
+  /**
+   * Follow router steps, which show nothing and forward the user right away.
+   * @param {Object} state - The flow state.
+   * @param {string} stepId - The destination step ID.
+   * @param {Array} [effects] - The effects to add warnings to.
+   * @returns {string} - The first destination that is not a router step.
+   */
+  followRouters(state, stepId, effects = []) {
+    const visited = [];
+    let step = this.step(stepId);
+    while (step && step.router) {
+      if (visited.includes(stepId)) {
+        effects.push(this._warning(`Router steps ${visited.join(', ')} form a loop`));
+        break;
+      }
+      visited.push(stepId);
+      stepId = this.route(state, step, '', effects);
+      step = this.step(stepId);
+    }
+    return stepId;
+  }
 
-    // Track the attribute.
-    this.trackAttribute(previousStep.stepID);
+  /**
+   * Evaluate a data-df-filter expression.
+   * @param {Object} state - The flow state.
+   * @param {string|Object} expression - The expression source or its parsed syntax tree.
+   * @param {*} [el] - The element the expression belongs to, passed to custom filter functions.
+   * @returns {*} - The value of the expression.
+   * @throws {SyntaxError} - If the expression source is invalid.
+   */
+  evaluate(state, expression, el = null) {
+    if (typeof expression === 'string') {
+      if (!this.expressions.has(expression)) {
+        this.expressions.set(expression, ConvivialDecisionFlowExpression.parse(expression));
+      }
+      expression = this.expressions.get(expression);
+    }
 
-    // Toggle Footer.
-    this.toggleFooter();
+    const filters = this.functions.filter || {};
+    const node = expression;
+    switch (node.type) {
+      case 'or':
+        return this.evaluate(state, node.left, el) || this.evaluate(state, node.right, el);
+      case 'and':
+        return this.evaluate(state, node.left, el) && this.evaluate(state, node.right, el);
+      case 'not':
+        return !this.evaluate(state, node.operand, el);
+      case 'compare':
+        return this.compare(this.evaluate(state, node.left, el), node.operator, this.evaluate(state, node.right, el));
+      case 'literal':
+        return node.value;
+      case 'list':
+        return node.items.map(item => this.evaluate(state, item, el));
+      case 'variable':
+        return state.vars[node.name];
+      case 'call': {
+        const args = node.args.map(arg => this.evaluate(state, arg, el));
+        if (filters[node.name]) {
+          return filters[node.name](el, ...args);
+        }
+        if (['visited', 'answered', 'answer', 'steps'].includes(node.name)) {
+          return this[node.name === 'answer' ? 'chosenAnswer' : node.name](state, ...args);
+        }
+        console.warn(`Filter function "${node.name}" not found in convivial decision flow with ID ${this.model.id}.`);
+        return false;
+      }
+      case 'word': {
+        // A bare word is either the legacy shorthand or the truthiness of a variable.
+        const prefix = node.name.split('_')[0];
+        if (node.name.includes('_') && (['var', 'visited', 'answered', 'steps'].includes(prefix) || filters[prefix])) {
+          return this.evaluateShorthand(state, node.name, el);
+        }
+        return ConvivialDecisionFlowEngine.isTruthy(state.vars[node.name]);
+      }
+      default:
+        return false;
+    }
   }
 
   /**
-   * Track the restart button.
+   * Evaluate the legacy "var_…" and "visited_…" shorthand and custom "name_arg_arg" filters.
+   * @param {Object} state - The flow state.
+   * @param {string} criteria - The shorthand, e.g. "var_age_gte_18".
+   * @param {*} [el] - The element the shorthand belongs to, passed to custom filter functions.
+   * @returns {boolean} - Whether the criteria are met.
    */
-  trackRestartButton() {
-    // Hide current/active step.
-    const currentStep = this.storageData.history[this.storageData.history.length - 1];
-    this.hide('#' + this.config.id + ' #' + currentStep.stepID);
+  evaluateShorthand(state, criteria, el = null) {
+    const filters = this.functions.filter || {};
+    const parts = criteria.split('_');
+    const functionName = parts[0];
+    const args = parts.slice(1);
+
+    if (filters[functionName]) {
+      return filters[functionName](el, ...args);
+    }
 
-    // Track the restart action in Google Analytics.
-    this.trackGA(currentStep.stepID + '/restart');
+    if (functionName === 'var') {
+      // Variable names and values may contain underscores, so split on the first operator.
+      const match = criteria.slice(4).match(/^(.+?)_(gte|gt|lte|lt|eq|ne|empty)(?:_(.*))?$/);
+      return match ? this.vars(state, match[1], match[2], match[3] ?? '') : false;
+    } else if (functionName === 'visited') {
+      return this.visited(state, criteria.slice(8));
+    } else if (functionName === 'answered') {
+      // Step IDs may contain underscores, so the answer path follows the last one.
+      const rest = criteria.slice(9);
+      const separator = rest.lastIndexOf('_');
+      return separator === -1 ? this.answered(state, rest) : this.answered(state, rest.slice(0, separator), rest.slice(separator + 1));
+    } else if (functionName === 'steps') {
+      return this.steps(state, ...args);
+    }
 
-    // Reset history to the first step
-    const firstStep = this.config.steps[0];
-    this.storageData.history = [{ stepID: firstStep, stepQuestion: '', stepAnswer: '' }];
-    this.storageData.active = firstStep;
+    return false;
+  }
 
-    // Show the first step.
-    this.show('#' + this.config.id + ' #' + firstStep);
+  /**
+   * Compare with the compare() filter function, which may be overridden.
+   * @param {*} variableValue - The value to compare.
+   * @param {string} operator - The operator name, e.g. "gte".
+   * @param {*} comparator - The value to compare with.
+   * @returns {boolean} - The result of the comparison.
+   */
+  compare(variableValue, operator, comparator) {
+    const compare = (this.functions.filter && this.functions.filter.compare) || ConvivialDecisionFlowEngine.compare;
+    return compare(variableValue, operator, comparator);
+  }
 
-    // Send first step data to GA.
-    this.trackGA(firstStep);
+  /**
+   * Compare a variable with a value.
+   * @param {Object} state - The flow state.
+   * @param {string} key - The variable name.
+   * @param {string} operation - The operator name.
+   * @param {*} value - The value to compare with.
+   * @returns {boolean} - The result of the comparison.
+   */
+  vars(state, key, operation, value) {
+    return this.compare(state.vars[key], operation, value);
+  }
 
-    // Wipe out vars.
-    this.storageData.vars = {};
+  /**
+   * Check if a step has been visited.
+   * @param {Object} state - The flow state.
+   * @param {string} stepId - The step ID.
+   * @param {string} [operation] - An operator to compare the result with a value.
+   * @param {*} [value] - The value to compare with.
+   * @returns {boolean} - Whether the step is in history.
+   */
+  visited(state, stepId, operation, value) {
+    const isVisited = state.history.some(step => step.stepID === stepId);
+    if (!operation) return isVisited;
+    return this.compare(isVisited, operation, value);
+  }
 
-    // Save the storage.
-    this._saveStorage();
+  /**
+   * Get the answer path chosen in a step.
+   * @param {Object} state - The flow state.
+   * @param {string} stepId - The step ID.
+   * @returns {string|null} - The answer path or null if the step has not been answered.
+   */
+  chosenAnswer(state, stepId) {
+    const step = state.history.find(entry => entry.stepID === stepId);
+    return step && step.stepAnswerPath ? step.stepAnswerPath : null;
+  }
 
-    // Track the attribute.
-    this.trackAttribute(firstStep);
+  /**
+   * Check if a step has been answered, optionally with a specific answer path.
+   * @param {Object} state - The flow state.
+   * @param {string} stepId - The step ID.
+   * @param {string} [answerPath] - The answer path.
+   * @returns {boolean} - Whether the step has been answered.
+   */
+  answered(state, stepId, answerPath) {
+    const chosenPath = this.chosenAnswer(state, stepId);
+    if (chosenPath === null) return false;
+    return answerPath === undefined || chosenPath === String(answerPath);
+  }
 
-    // Toggle Footer.
-    this.toggleFooter();
+  /**
+   * Count the steps in history, including the active step.
+   * @param {Object} state - The flow state.
+   * @param {string} [operation] - An operator to compare the count with a value.
+   * @param {*} [value] - The value to compare with.
+   * @returns {number|boolean} - The count, or the result of the comparison.
+   */
+  steps(state, operation, value) {
+    const stepCount = state.history.length;
+    if (!operation) return stepCount;
+    return this.compare(stepCount, operation, value);
+  }
 
-    // Clean HTML from added elements.
-    this._cleanHTML();
+  /**
+   * Replace an active router step with the step it forwards to.
+   * @param {Object} state - The flow state.
+   * @param {Array} effects - The effects to add warnings to.
+   * @returns {Object} - The state, unchanged if the active step is not a router or its destination does not exist.
+   */
+  _forwardRouter(state, effects) {
+    const active = this.activeStep(state);
+    const step = active && this.step(active.stepID);
+    if (!step || !step.router) {
+      return state;
+    }
 
-    // Hide and clear the elements with the data-df-show attribute on restart without executing show functions
-    document.querySelectorAll('#' + this.config.id + ' [data-df-show]').forEach((element) => {
-      element.innerHTML = '';
-      element.style.display = 'none';
-    });
+    const nextStepId = this.followRouters(state, active.stepID, effects);
+    const nextStep = this.step(nextStepId);
+    if (!nextStep) {
+      effects.push(this._warning(`Next step with ID ${nextStepId} not found`));
+      return state;
+    }
+    return {
+      ...state,
+      history: state.history.slice(0, -1).concat({ stepID: nextStepId, stepQuestion: nextStep.question || '', stepAnswer: '' })
+    };
   }
 
   /**
-   * Track attribute into local storage.
+   * Move from the active step to another step.
+   * @param {Object} original - The state before the action, kept if the destination does not exist.
+   * @param {Object} state - The copied state to update.
+   * @param {string} nextStepId - The destination step ID.
+   * @param {Array} effects - The effects of the action so far.
+   * @param {string|null} answerPath - The chosen answer path.
+   * @returns {Object} - The state and effects.
    */
-  trackAttribute(id) {
-    const step = document.querySelector('#' + this.config.id + ' #' + id);
-    // Store the attribute.
-    if (step != null) {
-      const stepOutcome = step.getAttribute('data-cookie');
-      if (stepOutcome !== null) {
-        const [name, value] = stepOutcome.split('=');
-        this.cookie(name, value, 7); // Set the cookie with a default expiry of 7 days
+  _moveTo(original, state, nextStepId, effects, answerPath) {
+    nextStepId = this.followRouters(state, nextStepId, effects);
+    const nextStep = this.step(nextStepId);
+    if (!nextStep) {
+      return {
+        state: original,
+        effects: effects.filter(effect => effect.type === 'warn').concat(this._warning(`Next step with ID ${nextStepId} not found`))
+      };
+    }
+
+    const current = this.activeStep(state);
+    effects.push(
+      { type: 'leave', stepId: current.stepID },
+      { type: 'enter', stepId: nextStepId },
+      { type: 'track', action: 'view', stepId: nextStepId, answerPath: null }
+    );
+
+    const stepEntered = !state.history.some(step => step.stepID === nextStepId);
+    if (stepEntered) {
+      state.history.push({ stepID: nextStepId, stepQuestion: nextStep.question || '', stepAnswer: '' });
+    }
+    effects.push(...this.cookies(nextStepId));
+
+    effects.push(
+      { type: 'dispatch', event: 'answer', detail: { stepId: current.stepID, nextStepId, answerPath: answerPath || null } },
+      { type: 'dispatch', event: 'step-leave', detail: { stepId: current.stepID } }
+    );
+    if (stepEntered) {
+      effects.push({ type: 'dispatch', event: 'step-enter', detail: { stepId: nextStepId, previousStepId: current.stepID } });
+      if (this.isTerminal(nextStepId)) {
+        effects.push({ type: 'dispatch', event: 'complete', detail: { stepId: nextStepId } });
       }
     }
+
+    return { state, effects };
   }
 
   /**
-   * Track pages via google analytics.
+   * Replay the steps removed by change() after the changed step has been answered.
+   *
+   * Stops at the first step the flow did not take before, or whose answer is no longer available.
+   * Only the step left first and the step reached last get leave and enter effects.
+   * @param {Object} result - The state and effects of the answer.
+   * @returns {Object} - The state and effects.
    */
-  trackGA(path) {
-    if (typeof gtag === 'function' && drupalSettings.google_analytics !== undefined) {
-      gtag('config', drupalSettings.google_analytics.account, { page_path: window.location.href + this.config.id + '/' + path });
-    } else if (typeof ga === 'function' && ga.getAll()[0].get('clientId') !== null && ga.getAll()[0].get('trackingId') !== null) {
-      ga('create', ga.getAll()[0].get('trackingId'), {
-        clientId: ga.getAll()[0].get('clientId')
-      });
-      ga('send', 'pageview', window.location.href + this.config.id + '/' + path);
+  _resume(result) {
+    const resume = result.state.resume;
+    if (!resume || !result.effects.some(effect => effect.type === 'enter')) {
+      return result;
+    }
+
+    let state = { ...result.state };
+    delete state.resume;
+    const effects = result.effects.slice();
+    for (let count = 0; resume.mode === 'summary' && count < resume.history.length; count++) {
+      const active = this.activeStep(state);
+      const entry = resume.history.find(candidate => candidate.stepID === active.stepID);
+      const step = this.step(active.stepID);
+      const answer = entry && entry.stepAnswerPath ? step.answers.find(candidate => candidate.path === entry.stepAnswerPath) : null;
+      let replayed;
+      if (entry && entry.stepValues && step.forms.length) {
+        replayed = this.submit(state, { values: entry.stepValues });
+      } else if (answer && this.available(state, answer)) {
+        replayed = this.answer(state, { answer });
+      } else {
+        break;
+      }
+      if (!replayed.effects.some(effect => effect.type === 'enter')) {
+        break;
+      }
+      state = replayed.state;
+      effects.push(...replayed.effects);
     }
+
+    const moves = effects.filter(effect => effect.type === 'leave' || effect.type === 'enter');
+    return {
+      state,
+      effects: effects.filter(effect => (effect.type !== 'leave' && effect.type !== 'enter') || effect === moves[0] || effect === moves[moves.length - 1])
+    };
   }
 
   /**
-   * Set cookie.
+   * Apply the variable assignments of a chosen answer and record them in its history entry.
+   * @param {Object} state - The copied state to update.
+   * @param {Object} entry - The history entry of the step the answer was chosen in.
+   * @param {string} source - The data-df-set attribute value.
+   * @param {Array} effects - The effects to add warnings to.
    */
-  cookie(name, value, days) {
-    let expires;
+  _assign(state, entry, source, effects) {
+    // Answering the same step again replaces its earlier assignments.
+    this._undo(state, [entry]);
 
-    if (days) {
-      const date = new Date();
-      date.setTime(date.getTime() + days * 24 * 60 * 60 * 1000);
-      expires = ' expires=' + date.toGMTString();
-    } else {
-      expires = '';
-    }
-    document.cookie = encodeURIComponent(name) + '=' + encodeURIComponent(value) + ';' + expires + ';' + ' path=/; SameSite=None; Secure';
+    const { assignments, invalid } = ConvivialDecisionFlowEngine.parseAssignments(source);
+    invalid.forEach((part) => {
+      effects.push(this._warning(`Invalid data-df-set assignment "${part}"`));
+    });
+
+    const vars = state.vars;
+    entry.stepAssignments = assignments.map(({ name, operator, value }) => {
+      const change = { name };
+      if (Object.prototype.hasOwnProperty.call(vars, name)) {
+        change.previous = vars[name];
+      }
+      if (operator === '=') {
+        change.value = value;
+      } else {
+        const current = parseFloat(vars[name]) || 0;
+        change.value = operator === '+=' ? current + (parseFloat(value) || 0) : current - (parseFloat(value) || 0);
+      }
+      vars[name] = change.value;
+      return change;
+    });
   }
 
   /**
-   * Initialize custom function calls based on data-df-show attribute.
+   * Undo the variable assignments recorded in history entries.
+   * @param {Object} state - The copied state to update.
+   * @param {Array} entries - The history entries, undone from the last to the first.
    */
-  _initializeFunctionCalls() {
-    document.querySelectorAll(`#${this.config.id} [data-df-show]`).forEach((element) => {
-      const functionName = element.getAttribute('data-df-show');
-      if (functionName) {
-        // Validate the function name
-        const validName = /^[a-zA-Z_$][0-9a-zA-Z_$]*$/.test(functionName);
-        if (validName) {
-          if (this.functions.show && this.functions.show[functionName]) {
-            console.log(`Executing show function: ${functionName}`);
-            this.executeFunction('show', functionName, element);
-          } else {
-            console.warn(`Show function "${functionName}" not defined yet. Skipping execution.`);
-          }
+  _undo(state, entries) {
+    entries.slice().reverse().forEach((entry) => {
+      (entry.stepAssignments || []).slice().reverse().forEach((change) => {
+        if (Object.prototype.hasOwnProperty.call(change, 'previous')) {
+          state.vars[change.name] = change.previous;
         } else {
-          console.warn(`Invalid function name: ${functionName}`);
+          delete state.vars[change.name];
         }
-      }
+      });
+      delete entry.stepAssignments;
     });
   }
+
+  /**
+   * Find an answer or form of a step by its model, index or key.
+   * @param {Array} items - The answers or forms of the step.
+   * @param {Object|number|string} item - The model, index or key value.
+   * @param {string} [key] - The property to match strings against.
+   * @returns {Object|null} - The item or null.
+   */
+  _find(items, item, key) {
+    if (typeof item === 'number') {
+      return items[item] || null;
+    }
+    if (typeof item === 'string') {
+      return items.find(candidate => candidate[key] === item) || null;
+    }
+    return item && items.includes(item) ? item : null;
+  }
+
+  /**
+   * Copy a state so that it can be updated.
+   * @param {Object} state - The flow state.
+   * @returns {Object} - The copy.
+   */
+  _copy(state) {
+    return { ...state, history: state.history.map(entry => ({ ...entry })), vars: { ...state.vars } };
+  }
+
+  /**
+   * Describe a warning about the flow.
+   * @param {string} message - The warning without the flow ID.
+   * @returns {Object} - The warn effect.
+   */
+  _warning(message) {
+    return { type: 'warn', message: `${message} in convivial decision flow with ID ${this.model.id}.` };
+  }
 }
 
-document.addEventListener('DOMContentLoaded', function () {
-  // Initialize the convivial decision flow object for all convivial decision flows.
-  document.querySelectorAll('.convivial-decision-flow').forEach((el) => {
-    if (el.hasAttribute('id')) {
-      const df = new ConvivialDecisionFlow(localStorage, el.id, el); // Use localStorage or sessionStorage as needed
+/**
+ * Storage adapter for Web Storage objects such as localStorage and sessionStorage.
+ */
+class ConvivialDecisionFlowWebStorage {
+  /**
+   * @param {Storage} storage - The Web Storage object.
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
 
-      // Hide the history and submission sections on page load if no data
-      const historyElement = document.querySelector('.convivial-decision-flow__history');
-      if (historyElement) {
-        const hasHistory = df.storageData.history && df.storageData.history.length > 1;
-        historyElement.style.display = hasHistory ? 'block' : 'none';
+  /**
+   * Check if the Web Storage object can be written to.
+   * @returns {boolean} - Whether the storage is available.
+   */
+  isAvailable() {
+    try {
+      const test = 'test';
+      this.storage.setItem(test, test);
+      this.storage.removeItem(test);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Load data from the storage.
+   * @param {string} namespace - The storage key.
+   * @returns {Object|null} - The stored data.
+   */
+  load(namespace) {
+    try {
+      return JSON.parse(this.storage.getItem(namespace));
+    } catch (e) {
+      console.warn(`Stored data under "${namespace}" is not valid JSON.`);
+      return null;
+    }
+  }
+
+  /**
+   * Save data to the storage.
+   * @param {string} namespace - The storage key.
+   * @param {Object} data - The data to store.
+   */
+  save(namespace, data) {
+    this.storage.setItem(namespace, JSON.stringify(data));
+  }
+
+  /**
+   * Remove data from the storage.
+   * @param {string} namespace - The storage key.
+   */
+  clear(namespace) {
+    this.storage.removeItem(namespace);
+  }
+}
+
+/**
+ * Storage adapter keeping the data in memory for the lifetime of the page.
+ */
+class ConvivialDecisionFlowMemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  /**
+   * Load data from memory.
+   * @param {string} namespace - The storage key.
+   * @returns {Object|null} - The stored data.
+   */
+  load(namespace) {
+    return this.items.has(namespace) ? JSON.parse(this.items.get(namespace)) : null;
+  }
+
+  /**
+   * Save data to memory.
+   * @param {string} namespace - The storage key.
+   * @param {Object} data - The data to store.
+   */
+  save(namespace, data) {
+    this.items.set(namespace, JSON.stringify(data));
+  }
+
+  /**
+   * Remove data from memory.
+   * @param {string} namespace - The storage key.
+   */
+  clear(namespace) {
+    this.items.delete(namespace);
+  }
+}
+
+/**
+ * Selectors of the flow markup, override them per flow with the selectors option.
+ *
+ * Steps rendered from a JSON definition always use these defaults.
+ */
+ConvivialDecisionFlow.defaultSelectors = {
+  step: '.step',
+  heading: '.step__heading',
+  question: '.step__question',
+  answer: '.step__answer',
+  form: '.df-form'
+};
+
+/**
+ * Built-in texts by locale, add a locale or override texts per flow with the messages option.
+ *
+ * Placeholders in braces are replaced, e.g. {total}. A locale falls back to its language, then to English.
+ */
+ConvivialDecisionFlow.messages = {
+  en: {
+    back: 'Back',
+    restart: 'Restart',
+    backLabel: '{text} to the previous step',
+    restartLabel: '{text} from the first step',
+    next: 'Next',
+    history: 'History',
+    submission: 'Submission',
+    yes: 'Yes',
+    no: 'No',
+    progress: 'Step {current} of {total}',
+    progressEstimate: 'Step {current} of about {total}',
+    required: 'Please fill in this field.',
+    invalid: 'Please enter a valid value.',
+    min: 'Please enter a value of at least {min}.',
+    max: 'Please enter a value of at most {max}.',
+    minLength: 'Please enter at least {minLength} characters.',
+    maxLength: 'Please enter at most {maxLength} characters.',
+    pattern: 'Please match the requested format.',
+    match: 'The values do not match.',
+    validationError: 'The value could not be validated, please try again.',
+    results: 'Your results',
+    print: 'Print',
+    downloadJson: 'Download JSON',
+    downloadCsv: 'Download CSV',
+    share: 'Copy link',
+    shareCopied: 'Link copied.',
+    shareLink: 'Copy this link to share your results:',
+    change: 'Change',
+    changeLabel: 'Change the answer to "{question}"',
+    changing: 'You are changing an earlier answer.',
+    changeResume: 'Skip the questions I already answered'
+  }
+};
+
+/**
+ * Initialize the flows of the page on DOMContentLoaded, set to false before it fires to initialize them yourself.
+ */
+ConvivialDecisionFlow.autoInit = true;
+
+/**
+ * The decision flow of every initialized DOM element.
+ */
+ConvivialDecisionFlow.instances = new WeakMap();
+
+/**
+ * Upgrades of the storage format, the one at index n turns format n into n + 1.
+ *
+ * The stored data keeps its format in "schema", data without one has format 0.
+ */
+ConvivialDecisionFlow.storageMigrations = [
+  // The history used to be a list of step IDs.
+  data => ({
+    ...data,
+    history: Array.isArray(data.history)
+      ? data.history.map(entry => (typeof entry === 'string' ? { stepID: entry, stepQuestion: '', stepAnswer: '' } : entry))
+      : data.history
+  })
+];
+
+/**
+ * Built-in storage adapters available by name.
+ */
+ConvivialDecisionFlow.storageAdapters = {
+  local: () => new ConvivialDecisionFlowWebStorage(window.localStorage),
+  session: () => new ConvivialDecisionFlowWebStorage(window.sessionStorage),
+  memory: () => new ConvivialDecisionFlowMemoryStorage()
+};
+
+/**
+ * Built-in analytics providers available by name.
+ *
+ * Every provider receives the tracked event ({ flowId, stepId, answerPath, action })
+ * and the decision flow instance.
+ */
+ConvivialDecisionFlow.analyticsProviders = {
+  // Google Analytics 4 via gtag.js, or the Google Tag Manager data layer.
+  ga4: (event) => {
+    const params = {
+      decision_flow_id: event.flowId,
+      decision_flow_step: event.stepId,
+      decision_flow_answer: event.answerPath || undefined
+    };
+    if (typeof window.gtag === 'function') {
+      window.gtag('event', 'decision_flow_' + event.action, params);
+    } else {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push({ event: 'decision_flow_' + event.action, ...params });
+    }
+  },
+  // Matomo (formerly Piwik) event tracking.
+  matomo: (event) => {
+    window._paq = window._paq || [];
+    const name = [event.flowId, event.stepId, event.answerPath].filter(Boolean).join('/');
+    window._paq.push(['trackEvent', 'Decision flow', event.action, name]);
+  },
+  none: () => {},
+  // Pick the provider based on the analytics present on the page.
+  auto: (event, flow) => {
+    if (typeof window.gtag === 'function' || Array.isArray(window.dataLayer)) {
+      ConvivialDecisionFlow.analyticsProviders.ga4(event, flow);
+    } else if (Array.isArray(window._paq)) {
+      ConvivialDecisionFlow.analyticsProviders.matomo(event, flow);
+    }
+  }
+};
+
+/**
+ * Graph formats available to exportGraph() by name.
+ *
+ * Every format receives the graph built by buildGraph() and returns the diagram source.
+ */
+ConvivialDecisionFlow.graphFormats = {
+  // Mermaid flowchart, outcome steps are rounded and terminal steps have a thick border.
+  mermaid: (graph) => {
+    const ids = new Map();
+    const nodeId = (id) => {
+      if (!ids.has(id)) {
+        ids.set(id, 'step_' + ids.size + '_' + id.replace(/\W/g, '_'));
       }
+      return ids.get(id);
+    };
+    const escape = value => value.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+    const lines = ['flowchart TD'];
 
-      const submissionElement = document.querySelector('.convivial-decision-flow__submission');
-      if (submissionElement) {
-        const hasSubmissions = Object.keys(df.storageData.vars).length > 0;
-        submissionElement.style.display = hasSubmissions ? 'block' : 'none';
+    graph.nodes.forEach((node) => {
+      const label = '"' + escape(node.label) + '"';
+      lines.push('  ' + nodeId(node.id) + (node.outcome ? '([' + label + '])' : node.router ? '{' + label + '}' : '[' + label + ']'));
+    });
+    graph.edges.forEach((edge) => {
+      const label = ConvivialDecisionFlow.graphEdgeLabel(edge);
+      const arrow = edge.conditions.length ? '-.->' : '-->';
+      lines.push('  ' + nodeId(edge.from) + ' ' + arrow + (label.length ? '|"' + label.map(escape).join('<br>') + '"|' : '') + ' ' + nodeId(edge.to));
+    });
+
+    lines.push('  classDef outcome fill:#d4edda,stroke:#28a745');
+    lines.push('  classDef terminal stroke-width:3px');
+    lines.push('  classDef missing fill:#f8d7da,stroke:#dc3545,stroke-dasharray:4');
+    ['outcome', 'terminal', 'missing'].forEach((className) => {
+      const members = graph.nodes.filter(node => node[className]).map(node => nodeId(node.id));
+      if (members.length) {
+        lines.push('  class ' + members.join(',') + ' ' + className);
       }
-    } else {
-      console.warn('Convivial decision flow does not have ID.');
+    });
+    return lines.join('\n') + '\n';
+  },
+  // Graphviz DOT, conditional edges are dashed.
+  dot: (graph) => {
+    const text = value => '"' + value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+    const lines = ['digraph ' + text(graph.id || 'decision_flow') + ' {', '  node [shape=box];'];
+
+    graph.nodes.forEach((node) => {
+      const attributes = ['label=' + text(node.label)];
+      if (node.outcome) {
+        attributes.push('shape=box', 'style="rounded,filled"', 'fillcolor="#d4edda"');
+      } else if (node.router) {
+        attributes.push('shape=diamond');
+      } else if (node.missing) {
+        attributes.push('style="dashed,filled"', 'fillcolor="#f8d7da"');
+      }
+      if (node.terminal) {
+        attributes.push('peripheries=2');
+      }
+      lines.push('  ' + text(node.id) + ' [' + attributes.join(', ') + '];');
+    });
+    graph.edges.forEach((edge) => {
+      const label = ConvivialDecisionFlow.graphEdgeLabel(edge);
+      const attributes = label.length ? ['label=' + text(label.join('\n'))] : [];
+      if (edge.conditions.length) {
+        attributes.push('style=dashed');
+      }
+      lines.push('  ' + text(edge.from) + ' -> ' + text(edge.to) + (attributes.length ? ' [' + attributes.join(', ') + ']' : '') + ';');
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  },
+  json: graph => JSON.stringify(graph, null, 2) + '\n'
+};
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function () {
+    // Initialize the convivial decision flow object for all convivial decision flows.
+    if (ConvivialDecisionFlow.autoInit) {
+      ConvivialDecisionFlow.initAll(document);
     }
-  });
-}, false);
+  }, false);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ConvivialDecisionFlow,
+    ConvivialDecisionFlowExpression,
+    ConvivialDecisionFlowEngine,
+    ConvivialDecisionFlowWebStorage,
+    ConvivialDecisionFlowMemoryStorage
+  };
+}
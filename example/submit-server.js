@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * A stub endpoint for trying out the submission of results locally.
+ *
+ * Usage: node example/submit-server.js [--port 8080] [--fail <count>] [--status <code>]
+ *
+ * Prints every submission it receives. With --fail, the first requests are answered
+ * with --status (503 by default) to try out retries and the offline queue.
+ */
+const http = require('http');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : Number(args[index + 1]);
+};
+const port = option('--port', 8080);
+const status = option('--status', 503);
+let failures = option('--fail', 0);
+
+http.createServer((request, response) => {
+  // Let example pages served from another origin submit.
+  response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+  response.setHeader('Access-Control-Allow-Credentials', 'true');
+  response.setHeader('Access-Control-Allow-Methods', 'POST, PUT, OPTIONS');
+  response.setHeader('Access-Control-Allow-Headers', request.headers['access-control-request-headers'] || 'Content-Type');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204).end();
+    return;
+  }
+
+  let body = '';
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    if (failures > 0) {
+      failures--;
+      console.log(`${request.method} ${request.url}: answered ${status}, ${failures} failure(s) left`);
+      response.writeHead(status).end();
+      return;
+    }
+    try {
+      const payload = JSON.parse(body);
+      console.log(`${request.method} ${request.url}:`, JSON.stringify(payload, null, 2));
+      response.writeHead(201, { 'Content-Type': 'application/json' }).end(JSON.stringify({ id: payload.id }));
+    } catch (e) {
+      console.log(`${request.method} ${request.url}: invalid JSON`);
+      response.writeHead(400).end();
+    }
+  });
+}).listen(port, () => {
+  console.log(`Accepting submissions on http://localhost:${port}/`);
+});
@@ -0,0 +1,329 @@
+'use strict';
+
+const { parse, HTMLElement, TextNode } = require('node-html-parser');
+const { ConvivialDecisionFlow, ConvivialDecisionFlowEngine, ConvivialDecisionFlowExpression } = require('../convivial_decision_flow.js');
+
+/**
+ * Show functions every decision flow defines.
+ */
+const BUILT_IN_SHOWS = ['history', 'submission', 'summary', 'progress', 'results'];
+
+/**
+ * Functions the filter expressions can call without a custom filter.
+ */
+const BUILT_IN_CALLS = ['visited', 'answered', 'answer', 'steps'];
+
+/**
+ * Lint the convivial decision flows of an HTML page.
+ * @param {string} html - The HTML of the page.
+ * @param {Object} [options] - Names defined by the page's own scripts.
+ * @param {Array} [options.vars] - Variables set by scripts, e.g. from a custom form handler.
+ * @param {Array} [options.shows] - Custom data-df-show functions.
+ * @param {Array} [options.filters] - Custom data-df-filter functions.
+ * @returns {Array} - The problems with rule, severity ('error' or 'warning'), message, flow, step, line and column.
+ */
+function lintHtml(html, options = {}) {
+  const root = parse(html, { comment: false });
+  const problems = [];
+
+  root.querySelectorAll('.convivial-decision-flow').forEach((flowElement) => {
+    const definitionProblem = renderDefinition(flowElement);
+    if (definitionProblem) {
+      problems.push(definitionProblem);
+    }
+    problems.push(...lintFlow(ConvivialDecisionFlow.buildModel(flowElement), options));
+  });
+  problems.push(...lintDuplicateIds(root));
+
+  return problems
+    .map(({ element, ...problem }) => ({ ...problem, ...position(html, element) }))
+    .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+}
+
+/**
+ * Lint a flow model built by ConvivialDecisionFlow.buildModel().
+ * @param {Object} model - The flow model.
+ * @param {Object} [options] - Names defined by the page's own scripts, see lintHtml().
+ * @returns {Array} - The problems, with the element they were found on.
+ */
+function lintFlow(model, options = {}) {
+  const problems = [];
+  const report = (severity, rule, element, step, message) => {
+    problems.push({ rule, severity, message, flow: model.id, step: step ? step.id : null, element });
+  };
+  const stepIds = model.steps.map(step => step.id).filter(Boolean);
+  const isStep = id => stepIds.includes(id);
+  const where = step => step && step.id ? ` in step ${step.id}` : '';
+
+  if (!model.id) {
+    report('error', 'flow-id', null, null, 'Convivial decision flow does not have an ID.');
+  }
+
+  // Variables set by forms, answers and the page's scripts.
+  const setVars = new Set(options.vars || []);
+  model.steps.forEach((step) => {
+    step.forms.forEach((form) => {
+      form.fields.forEach((name) => {
+        setVars.add(name);
+        setVars.add(name + '_label');
+      });
+    });
+    step.answers.forEach((answer) => {
+      if (!answer.set) {
+        return;
+      }
+      const { assignments, invalid } = ConvivialDecisionFlowEngine.parseAssignments(answer.set);
+      assignments.forEach(assignment => setVars.add(assignment.name));
+      invalid.forEach((part) => {
+        report('error', 'invalid-set', answer.element, step, `Invalid data-df-set assignment "${part}"${where(step)}.`);
+      });
+    });
+  });
+
+  // Check the variables and steps a condition refers to.
+  const checkCondition = (source, element, step, attribute) => {
+    let expression;
+    try {
+      expression = ConvivialDecisionFlowExpression.parse(source);
+    } catch (e) {
+      report('error', 'invalid-filter', element, step, `Invalid ${attribute} "${source}"${where(step)}: ${e.message}`);
+      return;
+    }
+    const references = expressionReferences(expression, options.filters || []);
+    references.vars.forEach((name) => {
+      if (!setVars.has(name)) {
+        report('warning', 'unknown-variable', element, step, `${attribute} "${source}"${where(step)} uses variable "${name}", which no form or answer sets.`);
+      }
+    });
+    references.steps.forEach((id) => {
+      if (!isStep(id)) {
+        report('warning', 'unknown-step', element, step, `${attribute} "${source}"${where(step)} refers to step "${id}", which does not exist.`);
+      }
+    });
+    references.calls.forEach((name) => {
+      report('warning', 'unknown-filter', element, step, `${attribute} "${source}"${where(step)} calls filter function "${name}", which is not defined.`);
+    });
+  };
+
+  model.steps.forEach((step) => {
+    if (!step.id) {
+      report('error', 'step-id', step.element, null, `One of the steps in flow ${model.id} does not have an ID.`);
+    }
+    if (step.router && !step.route) {
+      report('error', 'router-route', step.element, step, `Router step ${step.id} does not have data-df-route filled.`);
+    }
+    if (step.cookie) {
+      ConvivialDecisionFlowEngine.parseCookies(step.cookie).invalid.forEach((part) => {
+        report('error', 'invalid-cookie', step.element, step, `Invalid data-cookie "${part}"${where(step)}.`);
+      });
+    }
+
+    step.answers.forEach((answer) => {
+      const label = answer.path || answer.label;
+      if (answer.href === null && !answer.route) {
+        report('error', 'missing-target', answer.element, step, `Answer "${label}"${where(step)} has neither an href nor data-df-route.`);
+      }
+      if (!answer.path) {
+        report('warning', 'answer-path', answer.element, step, `Answer "${label}"${where(step)} does not have data-answer-path filled.`);
+      }
+    });
+    step.forms.forEach((form) => {
+      if (form.action === null && !form.route) {
+        report('error', 'missing-target', form.element, step, `Form${where(step)} has neither an action nor data-df-route.`);
+      }
+      form.element.querySelectorAll('[data-df-pattern]').forEach((field) => {
+        const pattern = field.getAttribute('data-df-pattern');
+        try {
+          new RegExp('^(?:' + pattern + ')$');
+        } catch (e) {
+          report('error', 'invalid-pattern', field, step, `Invalid data-df-pattern "${pattern}" of field "${field.getAttribute('name')}"${where(step)}: ${e.message}`);
+        }
+      });
+    });
+
+    [step, ...step.answers, ...step.forms].forEach((item) => {
+      if (item.routeError) {
+        report('error', 'invalid-route', item.element, step, `Invalid data-df-route "${item.route}"${where(step)}: ${item.routeError}`);
+      }
+    });
+
+    step.edges.forEach((edge) => {
+      if (!isStep(edge.to)) {
+        const origin = { answer: `Answer "${edge.path || edge.label}"`, form: 'Form action', route: 'Route' }[edge.type];
+        report('error', 'missing-step', edge.element, step, `${origin}${where(step)} points at "#${edge.to}", which is not a step of flow ${model.id}.`);
+      }
+    });
+    step.edges.filter(edge => edge.condition !== null).forEach((edge) => {
+      checkCondition(edge.condition, edge.element, step, 'data-df-route');
+    });
+
+    // A step asking something, or a router, needs a way forward.
+    const nonTerminal = step.question || step.router || step.answers.length || step.forms.length;
+    if (step.id && nonTerminal && !step.edges.some(edge => isStep(edge.to))) {
+      report('warning', 'dead-end', step.element, step, `Step ${step.id} is not an outcome but offers no way to continue.`);
+    } else if (step.router && step.route && !step.routeError && !step.edges.some(edge => edge.condition === null)) {
+      report('warning', 'dead-end', step.element, step, `Router step ${step.id} has no default route, visitors stay on it when no rule matches.`);
+    }
+  });
+
+  // Walk the graph from the first step.
+  if (model.steps.length && model.steps[0].id) {
+    const reached = new Set([model.steps[0].id]);
+    const queue = [model.steps[0]];
+    while (queue.length) {
+      queue.shift().edges.forEach((edge) => {
+        if (isStep(edge.to) && !reached.has(edge.to)) {
+          reached.add(edge.to);
+          queue.push(model.steps.find(step => step.id === edge.to));
+        }
+      });
+    }
+    model.steps.filter(step => step.id && !reached.has(step.id)).forEach((step) => {
+      report('warning', 'unreachable', step.element, step, `Step ${step.id} cannot be reached from the first step ${model.steps[0].id}.`);
+    });
+  }
+
+  model.filters.forEach((filter) => {
+    const step = model.steps.find(candidate => candidate.id && candidate.id === filter.step) || null;
+    checkCondition(filter.source, filter.element, step, 'data-df-filter');
+  });
+
+  const shows = BUILT_IN_SHOWS.concat(options.shows || []);
+  model.shows.forEach((show) => {
+    if (show.name && !shows.includes(show.name)) {
+      const step = model.steps.find(candidate => candidate.id && candidate.id === show.step) || null;
+      report('warning', 'unknown-show', show.element, step, `Show function "${show.name}"${where(step)} is not defined.`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Render the steps of a flow's inline JSON definition in place of its step markup, as the browser does.
+ *
+ * The rendered elements take the position of the definition script, so their problems point at it.
+ * @param {HTMLElement} flowElement - The parsed flow element.
+ * @returns {Object|null} - The problem if the definition cannot be rendered, otherwise null.
+ */
+function renderDefinition(flowElement) {
+  const script = flowElement.querySelector('script.convivial-decision-flow__definition[type="application/json"]');
+  if (!script) {
+    return null;
+  }
+  const id = flowElement.getAttribute('id') || null;
+  const document = {
+    createElement: tagName => new HTMLElement(tagName, {}, '', null, script.range),
+    createTextNode: text => new TextNode(text, null, script.range)
+  };
+
+  let elements;
+  try {
+    elements = ConvivialDecisionFlow.renderDefinition(script.textContent, { id, document });
+  } catch (e) {
+    return { rule: 'definition', severity: 'error', message: e.message, flow: id, step: null, element: script };
+  }
+  flowElement.querySelectorAll(ConvivialDecisionFlow.defaultSelectors.step).forEach(el => el.remove());
+  elements.forEach(el => flowElement.appendChild(el));
+  return null;
+}
+
+/**
+ * Report IDs used by more than one element when one of them belongs to a decision flow.
+ * @param {HTMLElement} root - The parsed page.
+ * @returns {Array} - The problems.
+ */
+function lintDuplicateIds(root) {
+  const problems = [];
+  const seen = new Map();
+  root.querySelectorAll('[id]').forEach((element) => {
+    const id = element.getAttribute('id');
+    if (!seen.has(id)) {
+      seen.set(id, element);
+      return;
+    }
+    const flowElement = element.closest('.convivial-decision-flow') || seen.get(id).closest('.convivial-decision-flow');
+    if (flowElement) {
+      const step = element.closest('.step');
+      problems.push({
+        rule: 'duplicate-id',
+        severity: 'error',
+        message: `ID "${id}" is used by more than one element.`,
+        flow: flowElement.getAttribute('id') || null,
+        step: step ? step.getAttribute('id') || null : null,
+        element
+      });
+    }
+  });
+  return problems;
+}
+
+/**
+ * Collect the variables, steps and unknown functions an expression refers to.
+ * @param {Object} node - The expression node.
+ * @param {Array} filters - Custom filter function names.
+ * @param {Object} [references] - The references collected so far.
+ * @returns {Object} - Sets of variable names, step IDs and unknown function names.
+ */
+function expressionReferences(node, filters, references = { vars: new Set(), steps: new Set(), calls: new Set() }) {
+  switch (node.type) {
+    case 'or':
+    case 'and':
+    case 'compare':
+      expressionReferences(node.left, filters, references);
+      expressionReferences(node.right, filters, references);
+      break;
+    case 'not':
+      expressionReferences(node.operand, filters, references);
+      break;
+    case 'list':
+      node.items.forEach(item => expressionReferences(item, filters, references));
+      break;
+    case 'variable':
+      references.vars.add(node.name);
+      break;
+    case 'call':
+      if (['visited', 'answered', 'answer'].includes(node.name) && node.args[0] && node.args[0].type === 'literal') {
+        references.steps.add(String(node.args[0].value));
+      } else if (!BUILT_IN_CALLS.includes(node.name) && !filters.includes(node.name)) {
+        references.calls.add(node.name);
+      }
+      node.args.forEach(arg => expressionReferences(arg, filters, references));
+      break;
+    case 'word': {
+      // Mirror the legacy shorthand of ConvivialDecisionFlowEngine.evaluate().
+      const prefix = node.name.split('_')[0];
+      if (!node.name.includes('_') || !(['var', 'visited', 'answered', 'steps'].includes(prefix) || filters.includes(prefix))) {
+        references.vars.add(node.name);
+      } else if (prefix === 'var') {
+        const match = node.name.slice(4).match(/^(.+?)_(gte|gt|lte|lt|eq|ne|empty)(?:_(.*))?$/);
+        references.vars.add(match ? match[1] : node.name.slice(4));
+      } else if (prefix === 'visited') {
+        references.steps.add(node.name.slice(8));
+      } else if (prefix === 'answered') {
+        const rest = node.name.slice(9);
+        const separator = rest.lastIndexOf('_');
+        references.steps.add(separator === -1 ? rest : rest.slice(0, separator));
+      }
+      break;
+    }
+  }
+  return references;
+}
+
+/**
+ * Find the line and column of an element in the HTML source.
+ * @param {string} html - The HTML source.
+ * @param {HTMLElement|null} element - The parsed element.
+ * @returns {Object} - The line and column, both null if unknown.
+ */
+function position(html, element) {
+  if (!element || !element.range) {
+    return { line: null, column: null };
+  }
+  const before = html.slice(0, element.range[0]);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: element.range[0] - lineStart + 1 };
+}
+
+module.exports = { lintHtml, lintFlow, expressionReferences };
@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const axe = require('axe-core');
+const { loadPage, createFlow } = require('./helpers');
+
+const example = fs.readFileSync(path.join(__dirname, '..', 'example', 'index.html'), 'utf8');
+
+/**
+ * Load the example page with its bookshop flow.
+ * @returns {Promise<Object>} - The page and the flow.
+ */
+async function loadExample() {
+  const page = loadPage(example);
+  page.window.eval(axe.source);
+  const flow = await createFlow(page, 'bookshop', { storage: 'memory' });
+  return { ...page, flow };
+}
+
+/**
+ * Run the accessibility audit on a page.
+ * @param {Window} window - The window of the page.
+ * @returns {Promise<Array>} - The violations, as "rule: targets" strings.
+ */
+async function audit(window) {
+  const results = await window.axe.run(window.document, {
+    rules: {
+      // jsdom does not lay out the page, and landmarks are up to the page around the flow.
+      'color-contrast': { enabled: false },
+      region: { enabled: false }
+    }
+  });
+  // Copy into an array of this realm, for deepStrictEqual.
+  return Array.from(results.violations, violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+test('the example page passes the audit as the user moves through the flow', async () => {
+  const { window, document } = await loadExample();
+  assert.deepStrictEqual(await audit(window), []);
+
+  document.querySelector('#bookshop-welcome [data-answer-path="shopping"]').click();
+  assert.deepStrictEqual(await audit(window), []);
+
+  document.querySelector('#bookshop-find [data-answer-path="fantasy"]').click();
+  assert.ok(document.querySelector('#bookshop .step__button--change'));
+  assert.deepStrictEqual(await audit(window), []);
+});
+
+test('focus moves to the heading of the new step', async () => {
+  const { document } = await loadExample();
+
+  document.querySelector('#bookshop-welcome [data-answer-path="shopping"]').click();
+  const heading = document.querySelector('#bookshop-find .step__heading');
+  assert.strictEqual(document.activeElement, heading);
+  assert.strictEqual(heading.getAttribute('tabindex'), '-1');
+
+  document.querySelector('#bookshop .step__button--back').click();
+  assert.strictEqual(document.activeElement, document.querySelector('#bookshop-welcome .step__heading'));
+});
+
+test('step changes are announced in a live region', async () => {
+  const { document } = await loadExample();
+  const status = document.querySelector('#bookshop .convivial-decision-flow__status');
+  assert.strictEqual(status.getAttribute('role'), 'status');
+  assert.strictEqual(status.getAttribute('aria-live'), 'polite');
+
+  document.querySelector('#bookshop-welcome [data-answer-path="shopping"]').click();
+  assert.strictEqual(status.textContent, 'Shopping. What is your interest?');
+});
+
+test('the chosen answer is marked with aria-current, also when going back to it', async () => {
+  const { document } = await loadExample();
+  const shopping = document.querySelector('#bookshop-welcome [data-answer-path="shopping"]');
+
+  shopping.click();
+  assert.strictEqual(shopping.getAttribute('aria-current'), 'true');
+  assert.strictEqual(document.querySelectorAll('#bookshop [aria-current]').length, 1);
+
+  document.querySelector('#bookshop .step__button--back').click();
+  assert.strictEqual(shopping.getAttribute('aria-current'), 'true');
+  assert.strictEqual(document.querySelector('#bookshop-welcome [data-answer-path="education"]').hasAttribute('aria-current'), false);
+});
+
+test('the back, restart and change buttons say what they do', async () => {
+  const { document } = await loadExample();
+  assert.strictEqual(document.querySelector('#bookshop .step__button--back').getAttribute('aria-label'), 'Back to the previous step');
+  assert.strictEqual(document.querySelector('#bookshop .step__button--restart').getAttribute('aria-label'), 'Restart from the first step');
+
+  document.querySelector('#bookshop-welcome [data-answer-path="shopping"]').click();
+  document.querySelector('#bookshop-find [data-answer-path="fantasy"]').click();
+  const labels = Array.from(document.querySelectorAll('#bookshop .step__button--change')).map(button => button.getAttribute('aria-label'));
+  assert.deepStrictEqual(labels, ['Change the answer to "What brings you here today?"', 'Change the answer to "What is your interest?"']);
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, createFlow, wait } = require('./helpers');
+
+const html = `<div class="convivial-decision-flow" id="flow">
+  <div class="step" id="start">
+    <h3 class="step__heading">Start</h3>
+    <p class="step__question">Which colour?</p>
+    <a class="step__answer" href="#name" data-answer-path="red" data-df-set="colour=red">Red</a>
+    <a class="step__answer" href="#other" data-answer-path="blue" data-df-set="colour=blue">Blue</a>
+  </div>
+  <div class="step" id="name">
+    <h3 class="step__heading">Name</h3>
+    <p class="step__question">What is your name?</p>
+    <form class="df-form" action="#end">
+      <label for="first">First name</label>
+      <input id="first" name="first">
+      <input type="submit" value="Next">
+    </form>
+  </div>
+  <div class="step" id="other">
+    <h3 class="step__heading">Other</h3>
+    <p class="step__question">Sure?</p>
+    <a class="step__answer" href="#end" data-answer-path="yes">Yes</a>
+  </div>
+  <div class="step" id="end">
+    <h3 class="step__heading">End</h3>
+    <div data-df-show="history"></div>
+    <div data-df-show="submission"></div>
+  </div>
+  <div class="convivial-decision-flow__footer">
+    <button class="step__button step__button--back">Back</button>
+    <button class="step__button step__button--restart">Restart</button>
+  </div>
+</div>`;
+
+/**
+ * Load the page and walk the flow to its end: red, then Ada.
+ * @param {Object} [options] - The flow options.
+ * @returns {Promise<Object>} - The page, the flow and the change events.
+ */
+async function complete(options = {}) {
+  const page = loadPage(html);
+  const flow = await createFlow(page, 'flow', { storage: 'memory', ...options });
+  const changes = [];
+  page.document.addEventListener('df:change', event => changes.push({ stepId: event.detail.stepId, nextStepId: event.detail.nextStepId }));
+
+  page.document.querySelector('#start [data-answer-path="red"]').click();
+  page.document.getElementById('first').value = 'Ada';
+  page.document.querySelector('#name form').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+  await wait(page.window);
+  assert.deepStrictEqual(steps(flow), ['start', 'name', 'end']);
+  return { ...page, flow, changes };
+}
+
+/**
+ * Get the IDs of the steps in the history of a flow.
+ * @param {ConvivialDecisionFlow} flow - The flow.
+ * @returns {Array} - The step IDs.
+ */
+function steps(flow) {
+  // Copy into an array of this realm, for deepStrictEqual.
+  return Array.from(flow.storageData.history, entry => entry.stepID);
+}
+
+/**
+ * Press the change button of a question or form field in the history and submission lists.
+ * @param {Document} document - The document.
+ * @param {string} question - The question or the label of the field.
+ */
+function change(document, question) {
+  const button = Array.from(document.querySelectorAll('#end .step__button--change'))
+    .find(candidate => candidate.getAttribute('aria-label') === `Change the answer to "${question}"`);
+  assert.ok(button, `No change button for "${question}".`);
+  button.click();
+}
+
+test('changing an answer rewinds to its step and clears the later answers', async () => {
+  const { document, flow, changes } = await complete();
+  change(document, 'Which colour?');
+
+  assert.deepStrictEqual(steps(flow), ['start']);
+  assert.deepStrictEqual({ ...flow.storageData.vars }, {});
+  assert.deepStrictEqual(changes, [{ stepId: 'end', nextStepId: 'start' }]);
+  assert.notStrictEqual(document.getElementById('start').style.display, 'none');
+  assert.strictEqual(document.querySelector('#start .convivial-decision-flow__change p').textContent, 'You are changing an earlier answer.');
+});
+
+test('answering the same way returns to the end, skipping the answered steps', async () => {
+  const { document, flow } = await complete();
+  change(document, 'Which colour?');
+  document.querySelector('#start [data-answer-path="red"]').click();
+
+  assert.deepStrictEqual(steps(flow), ['start', 'name', 'end']);
+  assert.deepStrictEqual({ ...flow.storageData.vars }, { colour: 'red', first: 'Ada', first_label: 'First name' });
+  assert.strictEqual(document.querySelector('.convivial-decision-flow__change'), null);
+});
+
+test('unticking the notice answers the later steps again', async () => {
+  const { document, flow } = await complete();
+  change(document, 'Which colour?');
+  const checkbox = document.querySelector('.convivial-decision-flow__change input');
+  checkbox.checked = false;
+  checkbox.dispatchEvent(new document.defaultView.Event('change'));
+  document.querySelector('#start [data-answer-path="red"]').click();
+
+  assert.deepStrictEqual(steps(flow), ['start', 'name']);
+  assert.strictEqual(flow.storageData.vars.first, undefined);
+});
+
+test('a different answer continues from the step it leads to', async () => {
+  const { document, flow } = await complete();
+  change(document, 'Which colour?');
+  document.querySelector('#start [data-answer-path="blue"]').click();
+
+  assert.deepStrictEqual(steps(flow), ['start', 'other']);
+  assert.deepStrictEqual({ ...flow.storageData.vars }, { colour: 'blue' });
+});
+
+test('the summary and rewalk modes do not ask', async () => {
+  const summary = await complete({ change: 'summary' });
+  change(summary.document, 'First name');
+  assert.deepStrictEqual(steps(summary.flow), ['start', 'name']);
+  assert.strictEqual(summary.document.querySelector('.convivial-decision-flow__change'), null);
+  assert.strictEqual(summary.flow.storageData.resume.mode, 'summary');
+
+  const rewalk = await complete({ change: 'rewalk' });
+  change(rewalk.document, 'Which colour?');
+  assert.strictEqual(rewalk.flow.storageData.resume.mode, 'rewalk');
+});
+
+test('the change option false hides the change buttons', async () => {
+  const { document } = await complete({ change: false });
+  assert.ok(document.querySelector('#end [data-df-show="history"] dl'));
+  assert.strictEqual(document.querySelector('.step__button--change'), null);
+});
+
+test('restarting while changing an answer removes the notice', async () => {
+  const { document, flow } = await complete();
+  change(document, 'Which colour?');
+  assert.ok(document.querySelector('.convivial-decision-flow__change'));
+
+  document.querySelector('.step__button--restart').click();
+  assert.strictEqual(document.querySelector('.convivial-decision-flow__change'), null);
+  assert.strictEqual(flow.storageData.resume, undefined);
+});
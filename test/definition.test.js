@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, createFlow } = require('./helpers');
+
+const definition = {
+  steps: [
+    { id: 'start', heading: 'Start', form: { next: 'end', fields: [{ name: 'age', label: 'Age', type: 'number' }] } },
+    { id: 'end', heading: 'End', form: { submit: 'Send', fields: [{ name: 'note', label: 'Note' }] } }
+  ]
+};
+
+/**
+ * Load the page with a flow built from the definition.
+ * @param {string} attributes - The attributes of the flow element, e.g. its lang.
+ * @param {Object} [options] - The flow options.
+ * @returns {Promise<Object>} - The page and the flow.
+ */
+async function setup(attributes, options = {}) {
+  const page = loadPage(`<div class="convivial-decision-flow" id="flow" ${attributes}>
+    <div class="convivial-decision-flow__footer">
+      <button class="step__button step__button--back">Back</button>
+      <button class="step__button step__button--restart">Restart</button>
+    </div>
+  </div>`);
+  const flow = await createFlow(page, 'flow', { storage: 'memory', definition, ...options });
+  return { ...page, flow };
+}
+
+test('the submit buttons of rendered forms are translated', async () => {
+  const english = await setup('');
+  assert.strictEqual(english.document.querySelector('#start input[type="submit"]').value, 'Next');
+  assert.strictEqual(english.document.querySelector('#end input[type="submit"]').value, 'Send');
+
+  const czech = await setup('lang="cs"', { messages: { next: 'Pokračovat' } });
+  assert.strictEqual(czech.document.querySelector('#start input[type="submit"]').value, 'Pokračovat');
+  assert.strictEqual(czech.document.querySelector('#end input[type="submit"]').value, 'Send');
+});
+
+test('rendered fields are labelled, with IDs prefixed by the flow ID', async () => {
+  const { document } = await setup('');
+  const input = document.getElementById('flow-age');
+  assert.strictEqual(input.getAttribute('name'), 'age');
+  assert.strictEqual(document.querySelector('label[for="flow-age"]').textContent, 'Age');
+  // The steps are rendered before the footer.
+  assert.strictEqual(document.getElementById('end').nextElementSibling.className, 'convivial-decision-flow__footer');
+});
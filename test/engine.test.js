@@ -0,0 +1,216 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('node-html-parser');
+const { ConvivialDecisionFlow, ConvivialDecisionFlowEngine } = require('../convivial_decision_flow.js');
+
+const html = `<div class="convivial-decision-flow" id="flow">
+  <div class="step" id="plan" data-df-router data-df-route="plan == premium -> #premium; #start"></div>
+  <div class="step" id="start" data-cookie="outcome=start">
+    <h3 class="step__heading">Start</h3>
+    <p class="step__question">How old are you?</p>
+    <form class="df-form" action="#risk" data-df-route="age < 18 -> #minor"><input name="age"></form>
+  </div>
+  <div class="step" id="risk">
+    <p class="step__question">Which risk?</p>
+    <a class="step__answer" data-answer-path="high" data-df-set="risk=5" data-df-route="risk >= 5 -> #review; #end">High</a>
+    <a class="step__answer" href="#end" data-answer-path="low" data-df-set="risk=1">Low</a>
+  </div>
+  <div class="step" id="review" data-cookie="outcome=review">
+    <p class="step__question">Reviewed?</p>
+    <a class="step__answer" href="#end" data-answer-path="ok">OK</a>
+  </div>
+  <div class="step" id="minor"><h3 class="step__heading">Minor</h3></div>
+  <div class="step" id="premium"><h3 class="step__heading">Premium</h3></div>
+  <div class="step" id="end"><h3 class="step__heading">End</h3></div>
+</div>`;
+
+const engine = new ConvivialDecisionFlowEngine(ConvivialDecisionFlow.buildModel(parse(html).querySelector('.convivial-decision-flow')));
+
+/**
+ * Get the IDs of the steps in the history.
+ * @param {Object} state - The flow state.
+ * @returns {Array} - The step IDs.
+ */
+function steps(state) {
+  return state.history.map(entry => entry.stepID);
+}
+
+/**
+ * Describe effects without the elements they refer to.
+ * @param {Array} effects - The effects.
+ * @returns {Array} - The effects as "type" or "type event" strings.
+ */
+function types(effects) {
+  return effects.map(effect => (effect.type === 'dispatch' ? `dispatch ${effect.event}` : effect.type));
+}
+
+/**
+ * Walk from the first step to the review step: 30 years old and a high risk.
+ * @returns {Object} - The state on the review step.
+ */
+function review() {
+  let { state } = engine.start(engine.initialState());
+  ({ state } = engine.submit(state, { values: { age: '30' } }));
+  ({ state } = engine.answer(state, { answer: 'high' }));
+  return state;
+}
+
+test('start follows the router of the first step', () => {
+  const { state, effects } = engine.start(engine.initialState());
+  assert.deepStrictEqual(steps(state), ['start']);
+  assert.deepStrictEqual(effects, [
+    { type: 'track', action: 'view', stepId: 'start', answerPath: null },
+    { type: 'enter', stepId: 'start' },
+    { type: 'dispatch', event: 'step-enter', detail: { stepId: 'start', previousStepId: null } }
+  ]);
+
+  const premium = engine.start({ ...engine.initialState(), vars: { plan: 'premium' } });
+  assert.deepStrictEqual(steps(premium.state), ['premium']);
+});
+
+test('answering records the answer, applies its assignments and routes it', () => {
+  let { state } = engine.start(engine.initialState());
+  ({ state } = engine.submit(state, { values: { age: '30' } }));
+  const before = JSON.parse(JSON.stringify(state));
+  const result = engine.answer(state, { answer: 'high' });
+
+  // The state passed in is left as it was.
+  assert.deepStrictEqual(state, before);
+  assert.deepStrictEqual(steps(result.state), ['start', 'risk', 'review']);
+  assert.deepStrictEqual(result.state.vars, { age: '30', risk: 5 });
+  assert.deepStrictEqual(result.state.history[1], {
+    stepID: 'risk',
+    stepQuestion: 'Which risk?',
+    stepAnswer: 'High',
+    stepAnswerPath: 'high',
+    stepAssignments: [{ name: 'risk', value: 5 }]
+  });
+  assert.deepStrictEqual(result.effects, [
+    { type: 'track', action: 'answer', stepId: 'risk', answerPath: 'high' },
+    { type: 'leave', stepId: 'risk' },
+    { type: 'enter', stepId: 'review' },
+    { type: 'track', action: 'view', stepId: 'review', answerPath: null },
+    { type: 'cookie', stepId: 'review', name: 'outcome', value: 'review', days: null },
+    { type: 'dispatch', event: 'answer', detail: { stepId: 'risk', nextStepId: 'review', answerPath: 'high' } },
+    { type: 'dispatch', event: 'step-leave', detail: { stepId: 'risk' } },
+    { type: 'dispatch', event: 'step-enter', detail: { stepId: 'review', previousStepId: 'risk' } }
+  ]);
+});
+
+test('reaching a terminal step completes the flow', () => {
+  const { state, effects } = engine.answer(review(), { answer: 'ok' });
+  assert.strictEqual(engine.activeStep(state).stepID, 'end');
+  assert.deepStrictEqual(types(effects).slice(-2), ['dispatch step-enter', 'dispatch complete']);
+});
+
+test('forms store their values and follow their routes', () => {
+  const { state: start } = engine.start(engine.initialState());
+  const adult = engine.submit(start, { values: { age: '30' } });
+  assert.deepStrictEqual(steps(adult.state), ['start', 'risk']);
+  assert.deepStrictEqual(adult.state.history[0].stepValues, { age: '30' });
+  assert.deepStrictEqual(types(adult.effects), [
+    'dispatch form-submit', 'leave', 'enter', 'track', 'dispatch answer', 'dispatch step-leave', 'dispatch step-enter'
+  ]);
+
+  const minor = engine.submit(start, { values: { age: '12' } });
+  assert.strictEqual(engine.activeStep(minor.state).stepID, 'minor');
+
+  const resolved = engine.submit(start, { values: { age: '12' }, move: false });
+  assert.strictEqual(resolved.nextStepId, 'minor');
+  assert.deepStrictEqual(steps(resolved.state), ['start']);
+});
+
+test('answers that lead nowhere only warn', () => {
+  const { state } = engine.start(engine.initialState());
+  const result = engine.answer(state, { answer: 'missing', nextStepId: 'nowhere' });
+  assert.strictEqual(result.state, state);
+  assert.deepStrictEqual(result.effects, [{ type: 'warn', message: 'Next step with ID nowhere not found in convivial decision flow with ID flow.' }]);
+});
+
+test('going back undoes the answers chosen since and restores the cookies', () => {
+  const state = review();
+  const { state: back, effects } = engine.back(state);
+
+  assert.deepStrictEqual(steps(back), ['start', 'risk']);
+  assert.deepStrictEqual(back.vars, { age: '30' });
+  assert.deepStrictEqual(effects, [
+    { type: 'leave', stepId: 'review' },
+    { type: 'enter', stepId: 'risk' },
+    { type: 'track', action: 'back', stepId: 'risk', answerPath: null },
+    // The start step sets the cookie the review step set as well.
+    { type: 'cookie', stepId: 'start', name: 'outcome', value: 'start', days: null },
+    { type: 'dispatch', event: 'back', detail: { stepId: 'review', nextStepId: 'risk' } },
+    { type: 'dispatch', event: 'step-leave', detail: { stepId: 'review' } },
+    { type: 'dispatch', event: 'step-enter', detail: { stepId: 'risk', previousStepId: 'review' } }
+  ]);
+
+  const first = engine.back(state, { nextStepId: 'start' });
+  assert.deepStrictEqual(steps(first.state), ['start']);
+  assert.deepStrictEqual(first.effects.filter(effect => effect.type === 'cookie'), [{ type: 'cookie', stepId: 'start', name: 'outcome', value: 'start', days: null }]);
+  assert.deepStrictEqual(engine.back(first.state).effects, []);
+  assert.deepStrictEqual(engine.back(state, { nextStepId: 'end' }).effects, [{ type: 'warn', message: 'Step with ID end is not an earlier step in history.' }]);
+});
+
+test('going back unanswers the step gone back to', () => {
+  const state = review();
+  const { state: back } = engine.back(state);
+  assert.deepStrictEqual(back.history[1], { stepID: 'risk', stepQuestion: 'Which risk?', stepAnswer: '' });
+  assert.strictEqual(engine.answered(back, 'risk'), false);
+  assert.strictEqual(engine.evaluate(back, 'answered(risk) || answer(risk) == high'), false);
+  // The state gone back from is left as it was.
+  assert.strictEqual(engine.answered(state, 'risk', 'high'), true);
+
+  const again = engine.answer(back, { answer: 'low' }).state;
+  assert.strictEqual(engine.chosenAnswer(again, 'risk'), 'low');
+  assert.deepStrictEqual(again.vars, { age: '30', risk: 1 });
+});
+
+test('restarting clears the history and vars and sets the cookies of the first step once', () => {
+  const { state, effects } = engine.restart({ ...review(), resume: { mode: 'summary', history: [] } });
+  assert.deepStrictEqual(state, { history: [{ stepID: 'start', stepQuestion: 'How old are you?', stepAnswer: '' }], vars: {} });
+  assert.deepStrictEqual(effects, [
+    { type: 'leave', stepId: 'review' },
+    { type: 'track', action: 'restart', stepId: 'review', answerPath: null },
+    { type: 'enter', stepId: 'start' },
+    { type: 'track', action: 'view', stepId: 'start', answerPath: null },
+    { type: 'cookie', stepId: 'start', name: 'outcome', value: 'start', days: null },
+    { type: 'dispatch', event: 'restart', detail: { stepId: 'review', nextStepId: 'start' } },
+    { type: 'dispatch', event: 'step-leave', detail: { stepId: 'review' } },
+    { type: 'dispatch', event: 'step-enter', detail: { stepId: 'start', previousStepId: 'review' } }
+  ]);
+});
+
+test('route picks the first rule that holds, or the default', () => {
+  const risk = engine.step('risk').answers[0];
+  assert.strictEqual(engine.route({ history: [], vars: { risk: 5 } }, risk, 'fallback'), 'review');
+  assert.strictEqual(engine.route({ history: [], vars: { risk: 1 } }, risk, 'fallback'), 'end');
+
+  const form = engine.step('start').forms[0];
+  assert.strictEqual(engine.route({ history: [], vars: { age: '12' } }, form, 'risk'), 'minor');
+  assert.strictEqual(engine.route({ history: [], vars: { age: '30' } }, form, 'risk'), 'risk');
+
+  assert.strictEqual(engine.followRouters({ history: [], vars: { plan: 'premium' } }, 'plan'), 'premium');
+  assert.strictEqual(engine.followRouters({ history: [], vars: {} }, 'plan'), 'start');
+});
+
+test('progress counts the steps that may follow, also past loops', () => {
+  const { state } = engine.start(engine.initialState());
+  assert.deepStrictEqual(engine.progress(state), { current: 1, shortest: 1, longest: 3 });
+  assert.deepStrictEqual(engine.progress(review()), { current: 3, shortest: 1, longest: 1 });
+
+  // Forty questions, each with an answer that asks it again: without memoizing past the loops,
+  // the walk would try every combination of answers.
+  const sections = 40;
+  const steps = [];
+  const edge = (from, to) => ({ type: 'answer', from, to, filters: [] });
+  for (let i = 0; i < sections; i++) {
+    steps.push({ id: `ask${i}`, edges: [edge(`ask${i}`, `sure${i}`), edge(`ask${i}`, `unsure${i}`)], answers: [{}], forms: [] });
+    steps.push({ id: `sure${i}`, edges: [edge(`sure${i}`, `ask${i + 1}`)], answers: [{}], forms: [] });
+    steps.push({ id: `unsure${i}`, edges: [edge(`unsure${i}`, `ask${i + 1}`), edge(`unsure${i}`, `ask${i}`)], answers: [{}], forms: [] });
+  }
+  steps.push({ id: `ask${sections}`, edges: [], answers: [], forms: [] });
+  const loops = new ConvivialDecisionFlowEngine({ id: 'loops', steps });
+  assert.deepStrictEqual(loops.progress(loops.initialState()), { current: 1, shortest: 2 * sections, longest: 2 * sections });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConvivialDecisionFlowExpression, ConvivialDecisionFlowEngine } = require('../convivial_decision_flow.js');
+const { loadPage, createFlow } = require('./helpers');
+
+const engine = new ConvivialDecisionFlowEngine({
+  id: 'flow',
+  steps: [{ id: 'start' }, { id: 'shop' }, { id: 'end' }]
+}, {
+  functions: { filter: { isAdult: (el, age) => age >= 18 } }
+});
+
+/**
+ * Evaluate an expression against variables and a history.
+ * @param {string} expression - The expression.
+ * @param {Object} [vars] - The variables.
+ * @param {Array} [history] - The history entries.
+ * @returns {*} - The value of the expression.
+ */
+function evaluate(expression, vars = {}, history = [{ stepID: 'start', stepQuestion: '', stepAnswer: '' }]) {
+  return engine.evaluate({ history, vars }, expression);
+}
+
+/**
+ * Get the error of an invalid expression.
+ * @param {string} expression - The expression.
+ * @returns {string} - The message of the syntax error.
+ */
+function syntaxError(expression) {
+  try {
+    ConvivialDecisionFlowExpression.parse(expression);
+  } catch (e) {
+    assert.ok(e instanceof SyntaxError, e.message);
+    return e.message;
+  }
+  assert.fail(`"${expression}" was parsed.`);
+}
+
+test('NOT binds tighter than AND, which binds tighter than OR', () => {
+  assert.deepStrictEqual(ConvivialDecisionFlowExpression.parse('!a && b || c'), {
+    type: 'or',
+    left: { type: 'and', left: { type: 'not', operand: { type: 'word', name: 'a' } }, right: { type: 'word', name: 'b' } },
+    right: { type: 'word', name: 'c' }
+  });
+  assert.strictEqual(evaluate('a || b && c', { a: 1 }), true);
+  assert.strictEqual(evaluate('(a || b) && c', { a: 1 }), false);
+  assert.strictEqual(evaluate('not a and b', { b: 1 }), true);
+  assert.strictEqual(evaluate('a + b , c', { c: 1 }), true);
+});
+
+test('variables are true when they are set and not empty or false', () => {
+  assert.strictEqual(Boolean(evaluate('name', { name: 'Ada' })), true);
+  ['', 'false', false, [], undefined].forEach((value) => {
+    assert.strictEqual(Boolean(evaluate('name', { name: value })), false, JSON.stringify(value));
+  });
+  assert.strictEqual(evaluate('vars.visited_count == 2', { visited_count: 2 }), true);
+});
+
+test('comparisons convert numbers and compare words, quoted or not', () => {
+  assert.strictEqual(evaluate('age >= 18', { age: '18' }), true);
+  assert.strictEqual(evaluate('age gt 18', { age: '9' }), false);
+  assert.strictEqual(evaluate('city == "New York"', { city: 'New York' }), true);
+  assert.strictEqual(evaluate("city == 'New York'", { city: 'New York' }), true);
+  assert.strictEqual(evaluate('city != york', { city: 'york' }), false);
+  assert.strictEqual(evaluate('quote == "say \\"hi\\""', { quote: 'say "hi"' }), true);
+  assert.strictEqual(evaluate('consent == true', { consent: 'true' }), true);
+});
+
+test('lists are matched with in, any of and all of', () => {
+  assert.strictEqual(evaluate('nationality in (czech, "japanese")', { nationality: 'japanese' }), true);
+  assert.strictEqual(evaluate('nationality in (czech, japanese)', { nationality: 'german' }), false);
+  assert.strictEqual(evaluate('toppings contains ham', { toppings: ['cheese', 'ham'] }), true);
+  assert.strictEqual(evaluate('toppings any of (ham, bacon)', { toppings: ['cheese', 'ham'] }), true);
+  assert.strictEqual(evaluate('toppings any of (bacon)', { toppings: ['cheese', 'ham'] }), false);
+  assert.strictEqual(evaluate('toppings all of (cheese, ham)', { toppings: ['cheese', 'ham', 'olives'] }), true);
+  assert.strictEqual(evaluate('toppings all of (cheese, bacon)', { toppings: ['cheese', 'ham'] }), false);
+});
+
+test('ISO dates are compared as dates', () => {
+  assert.strictEqual(evaluate('birthday < 2000-01-01', { birthday: '1999-12-31' }), true);
+  assert.strictEqual(evaluate('birthday >= 2000-01-01', { birthday: '1999-12-31' }), false);
+  assert.strictEqual(evaluate('deadline > today', { deadline: '9999-12-31' }), true);
+  assert.strictEqual(evaluate('deadline < today', { deadline: '9999-12-31' }), false);
+});
+
+test('text is matched with contains and matches', () => {
+  assert.strictEqual(evaluate('city contains York', { city: 'New York' }), true);
+  assert.strictEqual(evaluate('city matches /^new/i', { city: 'New York' }), true);
+  assert.strictEqual(evaluate('city matches "^New"', { city: 'New York' }), true);
+  assert.strictEqual(evaluate('city matches "^York"', { city: 'New York' }), false);
+  assert.strictEqual(evaluate('city matches /york/', {}), false);
+  // A pattern taken from a variable is only known when evaluating, an invalid one matches nothing.
+  assert.strictEqual(evaluate('city matches pattern', { city: '[abc', pattern: '[abc' }), false);
+});
+
+test('history functions and custom filter functions are called', () => {
+  const history = [
+    { stepID: 'start', stepQuestion: '', stepAnswer: 'Shopping', stepAnswerPath: 'shopping' },
+    { stepID: 'shop', stepQuestion: '', stepAnswer: '' }
+  ];
+  assert.strictEqual(evaluate('visited(start) && !visited(end)', {}, history), true);
+  assert.strictEqual(evaluate('answered(start, shopping)', {}, history), true);
+  assert.strictEqual(evaluate('answer(start) in (shopping, education)', {}, history), true);
+  assert.strictEqual(evaluate('steps() >= 2', {}, history), true);
+  assert.strictEqual(evaluate('isAdult(21)'), true);
+  assert.strictEqual(evaluate('isAdult(age)', { age: 12 }), false);
+});
+
+test('syntax errors give the position of the problem', () => {
+  assert.strictEqual(syntaxError('a & b'), 'Unexpected "&" at position 2');
+  assert.strictEqual(syntaxError('a b'), 'Unexpected "b" at position 2');
+  assert.strictEqual(syntaxError('"open'), 'Unterminated string at position 0');
+  assert.strictEqual(syntaxError('a == (b'), 'Expected ")" at the end of the expression');
+  assert.strictEqual(syntaxError('a =='), 'Expected a value at the end of the expression');
+  assert.strictEqual(syntaxError('city matches /^new'), 'Unterminated regular expression at position 13');
+});
+
+test('invalid patterns are reported when parsing, quoted or not', () => {
+  assert.strictEqual(syntaxError('city matches "[abc"'), 'Invalid regular expression "[abc" at position 13');
+  assert.strictEqual(syntaxError('city matches /[abc/'), 'Invalid regular expression "[abc" at position 13');
+  assert.strictEqual(syntaxError("city == x || city matches '('"), 'Invalid regular expression "(" at position 26');
+  assert.strictEqual(syntaxError('city matches /new/q'), 'Invalid regular expression "new" at position 13');
+});
+
+test('an invalid pattern hides the element and does not stop the flow', async () => {
+  const page = loadPage(`<div class="convivial-decision-flow" id="flow">
+    <div class="step" id="start">
+      <h3 class="step__heading">Start</h3>
+      <p id="invalid" data-df-filter='city matches "[abc"'>Hidden</p>
+      <a class="step__answer" href="#end" data-answer-path="yes" data-df-set="city=Prague">Yes</a>
+    </div>
+    <div class="step" id="end"><h3 class="step__heading">End</h3></div>
+  </div>`);
+  const flow = await createFlow(page, 'flow', { storage: 'memory' });
+
+  assert.strictEqual(page.document.getElementById('invalid').style.display, 'none');
+  assert.ok(page.logs.warn.some(message => message.includes('Invalid regular expression "[abc" at position 13')), page.logs.warn.join('\n'));
+  page.document.querySelector('#start .step__answer').click();
+  assert.strictEqual(flow.storageData.history[flow.storageData.history.length - 1].stepID, 'end');
+  assert.deepStrictEqual(page.logs.error, []);
+});
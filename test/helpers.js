@@ -0,0 +1,76 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'convivial_decision_flow.js'), 'utf8');
+
+/**
+ * Load a page with the library in jsdom.
+ *
+ * Flows are not initialized automatically, create them with createFlow().
+ * @param {string} html - The HTML of the page.
+ * @param {Object} [options] - Page options.
+ * @param {string} [options.url] - The URL of the page.
+ * @param {Function} [options.beforeScript] - Called with the window before the library is loaded, e.g. to stub fetch().
+ * @returns {Object} - The window, the document and the warnings and errors logged by the page.
+ */
+function loadPage(html, { url = 'https://example.test/page', beforeScript } = {}) {
+  const logs = { warn: [], error: [] };
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('warn', (...args) => logs.warn.push(args.join(' ')));
+  virtualConsole.on('error', (...args) => logs.error.push(args.join(' ')));
+
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  if (beforeScript) {
+    beforeScript(window);
+  }
+  window.eval(source + '\n;window.ConvivialDecisionFlow = ConvivialDecisionFlow;');
+  window.ConvivialDecisionFlow.autoInit = false;
+
+  const loaded = new Promise((resolve) => {
+    if (window.document.readyState === 'complete') {
+      resolve();
+    } else {
+      window.addEventListener('load', () => resolve());
+    }
+  });
+  return { dom, window, document: window.document, logs, loaded };
+}
+
+/**
+ * Create a flow once the page has loaded and wait for it to activate.
+ * @param {Object} page - The page returned by loadPage().
+ * @param {string} id - The ID of the flow element.
+ * @param {Object} [options] - The flow options.
+ * @returns {Promise<ConvivialDecisionFlow>} - The active flow.
+ */
+async function createFlow(page, id, options = {}) {
+  await page.loaded;
+  const flow = new page.window.ConvivialDecisionFlow(page.document.getElementById(id), options);
+  await wait(page.window);
+  return flow;
+}
+
+/**
+ * Wait for the timers of a page.
+ * @param {Window} window - The window.
+ * @param {number} [ms] - Milliseconds to wait.
+ * @returns {Promise} - Resolves after the timeout.
+ */
+function wait(window, ms = 0) {
+  return new Promise(resolve => window.setTimeout(resolve, ms));
+}
+
+/**
+ * Read a file of the test fixtures.
+ * @param {string} name - The file path, relative to the fixtures directory.
+ * @returns {string} - The contents.
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+module.exports = { loadPage, createFlow, wait, fixture };
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, createFlow, wait } = require('./helpers');
+
+const html = `<div class="convivial-decision-flow" id="flow">
+  <div class="step" id="start">
+    <h3 class="step__heading">Start</h3>
+    <a class="step__answer" href="#name" data-answer-path="yes" data-df-set="ready=1">Yes</a>
+  </div>
+  <div class="step" id="name">
+    <h3 class="step__heading">Name</h3>
+    <form class="df-form" action="#end">
+      <label for="first">First name</label>
+      <input id="first" name="first">
+      <input type="submit" value="Next">
+    </form>
+  </div>
+  <div class="step" id="end"><h3 class="step__heading">End</h3></div>
+  <div class="convivial-decision-flow__footer">
+    <button class="step__button step__button--back">Back</button>
+    <button class="step__button step__button--restart">Restart</button>
+  </div>
+</div>`;
+
+/**
+ * Load the page with a flow keeping its steps in the query string.
+ * @param {Object} [options] - Extra flow options.
+ * @returns {Promise<Object>} - The page and the flow.
+ */
+async function setup(options = {}) {
+  const page = loadPage(html);
+  const flow = await createFlow(page, 'flow', { storage: 'memory', history: 'query', ...options });
+  return { ...page, flow };
+}
+
+/**
+ * Get the active step of a flow.
+ * @param {ConvivialDecisionFlow} flow - The flow.
+ * @returns {string} - The step ID.
+ */
+function activeStep(flow) {
+  return flow.storageData.history[flow.storageData.history.length - 1].stepID;
+}
+
+/**
+ * Submit the name form.
+ * @param {Object} page - The page from setup().
+ * @param {string} value - The first name.
+ * @returns {Promise} - Resolves once the form has been handled.
+ */
+async function submitName(page, value) {
+  page.document.getElementById('first').value = value;
+  page.document.querySelector('#name form').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+  await wait(page.window);
+}
+
+/**
+ * Move through the browser history and wait for the popstate event.
+ * @param {Object} page - The page from setup().
+ * @param {number} delta - The number of entries to move by.
+ * @returns {Promise} - Resolves once the popstate event has been handled.
+ */
+async function go(page, delta) {
+  const popped = new Promise(resolve => page.window.addEventListener('popstate', resolve, { once: true }));
+  page.window.history.go(delta);
+  await popped;
+}
+
+test('the back button of the flow goes back in the browser history', async () => {
+  const page = await setup();
+  page.document.querySelector('#start .step__answer').click();
+  const length = page.window.history.length;
+  assert.strictEqual(page.window.location.search, '?flow=name');
+
+  const popped = new Promise(resolve => page.window.addEventListener('popstate', resolve, { once: true }));
+  page.document.querySelector('.step__button--back').click();
+  assert.strictEqual(activeStep(page.flow), 'start');
+  await popped;
+
+  assert.strictEqual(activeStep(page.flow), 'start');
+  assert.strictEqual(page.window.location.search, '?flow=start');
+  assert.strictEqual(page.window.history.length, length);
+  assert.deepStrictEqual({ ...page.flow.storageData.vars }, {});
+
+  // The browser forward button returns to the step gone back from.
+  await go(page, 1);
+  assert.strictEqual(activeStep(page.flow), 'name');
+  assert.deepStrictEqual({ ...page.flow.storageData.vars }, { ready: 1 });
+});
+
+test('the back button of the flow replaces the entry of a step restored from storage', async () => {
+  const data = {};
+  const storage = { load: namespace => data[namespace] || null, save: (namespace, value) => { data[namespace] = value; } };
+  const first = await setup({ storage });
+  first.document.querySelector('#start .step__answer').click();
+
+  // The next visit starts with an entry of another page below.
+  const page = loadPage(html, { url: 'https://example.test/page?flow=name' });
+  const flow = await createFlow(page, 'flow', { storage, history: 'query' });
+  assert.strictEqual(activeStep(flow), 'name');
+  const length = page.window.history.length;
+
+  page.document.querySelector('.step__button--back').click();
+  await wait(page.window, 10);
+
+  assert.strictEqual(activeStep(flow), 'start');
+  assert.strictEqual(page.window.location.search, '?flow=start');
+  assert.strictEqual(page.window.history.length, length);
+});
+
+test('the browser back and forward buttons restore the form values', async () => {
+  const page = await setup();
+  page.document.querySelector('#start .step__answer').click();
+  await submitName(page, 'Ada');
+  assert.strictEqual(activeStep(page.flow), 'end');
+  assert.strictEqual(page.flow.storageData.vars.first, 'Ada');
+
+  await go(page, -1);
+  assert.strictEqual(activeStep(page.flow), 'name');
+  assert.strictEqual(page.flow.storageData.vars.first, undefined);
+  assert.strictEqual(page.flow.storageData.vars.ready, 1);
+
+  await go(page, 1);
+  assert.strictEqual(activeStep(page.flow), 'end');
+  assert.strictEqual(page.flow.storageData.vars.first, 'Ada');
+});
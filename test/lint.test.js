@@ -0,0 +1,171 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { lintHtml } = require('../lib/lint.js');
+const { fixture } = require('./helpers');
+
+const fixtures = path.join(__dirname, 'fixtures', 'lint');
+const bin = path.join(__dirname, '..', 'bin', 'convivial-decision-flow.js');
+
+/**
+ * The rules every fixture reports, the fixture is named after the first one.
+ */
+const RULES = {
+  'answer-path': ['answer-path'],
+  'dead-end': ['dead-end'],
+  definition: ['definition'],
+  'duplicate-id': ['duplicate-id'],
+  'flow-id': ['flow-id'],
+  'invalid-cookie': ['invalid-cookie'],
+  'invalid-filter': ['invalid-filter'],
+  'invalid-pattern': ['invalid-pattern'],
+  'invalid-route': ['invalid-route'],
+  'invalid-set': ['invalid-set'],
+  'missing-step': ['missing-step'],
+  'missing-target': ['missing-target'],
+  // A router without routes cannot forward anywhere either.
+  'router-route': ['router-route', 'dead-end'],
+  'step-id': ['step-id'],
+  'unknown-filter': ['unknown-filter'],
+  'unknown-show': ['unknown-show'],
+  'unknown-step': ['unknown-step'],
+  'unknown-variable': ['unknown-variable'],
+  unreachable: ['unreachable']
+};
+
+/**
+ * Run the command-line tool.
+ * @param {Array} args - The arguments.
+ * @returns {Object} - The exit code, stdout and stderr.
+ */
+function run(...args) {
+  const result = spawnSync(process.execPath, [bin, ...args], { cwd: fixtures, encoding: 'utf8' });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('every rule has a fixture', () => {
+  const names = fs.readdirSync(fixtures).map(file => path.basename(file, '.html')).filter(name => name !== 'valid');
+  assert.deepStrictEqual(names.sort(), Object.keys(RULES).sort());
+});
+
+test('a valid flow has no problems', () => {
+  assert.deepStrictEqual(lintHtml(fixture('lint/valid.html')), []);
+});
+
+Object.entries(RULES).forEach(([name, rules]) => {
+  test(`the ${name} fixture reports ${rules.join(' and ')}`, () => {
+    const problems = lintHtml(fixture(`lint/${name}.html`));
+    assert.deepStrictEqual(problems.map(problem => problem.rule).sort(), rules.slice().sort());
+    problems.forEach((problem) => {
+      assert.ok(['error', 'warning'].includes(problem.severity));
+      assert.strictEqual(typeof problem.message, 'string');
+    });
+  });
+});
+
+test('problems point at the element they were found on', () => {
+  const [problem] = lintHtml(fixture('lint/missing-step.html'));
+  assert.deepStrictEqual(
+    { rule: problem.rule, severity: problem.severity, flow: problem.flow, step: problem.step, line: problem.line, column: problem.column },
+    { rule: 'missing-step', severity: 'error', flow: 'flow', step: 'start', line: 5, column: 5 }
+  );
+  assert.strictEqual(problem.message, 'Answer "no" in step start points at "#nowhere", which is not a step of flow flow.');
+});
+
+test('steps rendered from a JSON definition are checked like the markup', () => {
+  const definition = {
+    steps: [
+      { id: 'start', question: 'Ready?', answers: [{ label: 'Yes', path: 'yes', next: 'nowhere' }, { label: 'No', path: 'no', next: 'end' }] },
+      { id: 'name', form: { next: 'end', fields: [{ name: 'first', pattern: '(' }] } },
+      { id: 'end', heading: 'End', content: [{ text: 'Hello', filter: 'first != ""' }] }
+    ]
+  };
+  const html = `<div class="convivial-decision-flow" id="flow">
+  <div class="step" id="old"></div>
+  <script type="application/json" class="convivial-decision-flow__definition">${JSON.stringify(definition)}</script>
+</div>`;
+  const problems = lintHtml(html);
+  assert.deepStrictEqual(problems.map(problem => `${problem.rule} ${problem.step} ${problem.line}:${problem.column}`), [
+    'missing-step start 3:3',
+    'invalid-pattern name 3:3',
+    'unreachable name 3:3'
+  ]);
+  assert.strictEqual(problems[0].message, 'Answer "yes" in step start points at "#nowhere", which is not a step of flow flow.');
+});
+
+test('names defined by the page\'s scripts are not reported', () => {
+  assert.deepStrictEqual(lintHtml(fixture('lint/unknown-variable.html'), { vars: ['age'] }), []);
+  assert.deepStrictEqual(lintHtml(fixture('lint/unknown-show.html'), { shows: ['yearsUntil100'] }), []);
+  assert.deepStrictEqual(lintHtml(fixture('lint/unknown-filter.html'), { filters: ['isWeekend'] }), []);
+});
+
+test('the lint command exits with 0 without problems', () => {
+  const { code, stdout } = run('lint', 'valid.html');
+  assert.strictEqual(code, 0);
+  assert.strictEqual(stdout.trim(), 'No problems found.');
+});
+
+test('the lint command exits with 1 on errors', () => {
+  const { code, stdout } = run('lint', 'valid.html', 'missing-step.html');
+  assert.strictEqual(code, 1);
+  assert.match(stdout, /^missing-step\.html\n {2}5:5 +error +Answer "no" in step start points at "#nowhere", which is not a step of flow flow\. {2}missing-step$/m);
+  assert.match(stdout, /^1 problem \(1 error, 0 warnings\)$/m);
+});
+
+test('the lint command exits with 1 on warnings only with --strict', () => {
+  assert.strictEqual(run('lint', 'unreachable.html').code, 0);
+  assert.strictEqual(run('lint', '--strict', 'unreachable.html').code, 1);
+});
+
+test('the lint command prints JSON', () => {
+  const { code, stdout } = run('lint', '--format=json', 'valid.html', 'unreachable.html');
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout), [
+    { file: 'valid.html', problems: [] },
+    {
+      file: 'unreachable.html',
+      problems: [{
+        rule: 'unreachable',
+        severity: 'warning',
+        message: 'Step forgotten cannot be reached from the first step start.',
+        flow: 'flow',
+        step: 'forgotten',
+        line: 7,
+        column: 3
+      }]
+    }
+  ]);
+});
+
+test('the lint command passes the names defined by the page\'s scripts', () => {
+  assert.strictEqual(run('lint', '--strict', '--vars', 'age', 'unknown-variable.html').code, 0);
+  assert.strictEqual(run('lint', '--strict', '--show', 'yearsUntil100', 'unknown-show.html').code, 0);
+  assert.strictEqual(run('lint', '--strict', '--filters', 'isWeekend', 'unknown-filter.html').code, 0);
+});
+
+test('usage errors exit with 2', () => {
+  [
+    [],
+    ['check', 'valid.html'],
+    ['lint'],
+    ['lint', '--unknown', 'valid.html'],
+    ['lint', '--format', 'xml', 'valid.html'],
+    ['lint', 'valid.html', '--vars'],
+    ['lint', 'missing.html']
+  ].forEach((args) => {
+    const { code, stdout, stderr } = run(...args);
+    assert.strictEqual(code, 2, args.join(' '));
+    assert.strictEqual(stdout, '');
+    assert.match(stderr, /Usage: convivial-decision-flow/);
+  });
+});
+
+test('--help exits with 0', () => {
+  const { code, stdout } = run('--help');
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /^Usage: convivial-decision-flow/);
+});
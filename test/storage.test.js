@@ -0,0 +1,174 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, createFlow, wait } = require('./helpers');
+
+const html = `<div class="convivial-decision-flow" id="flow">
+  <div class="step" id="start">
+    <h3 class="step__heading">Start</h3>
+    <a class="step__answer" href="#middle" data-answer-path="yes">Yes</a>
+  </div>
+  <div class="step" id="middle">
+    <h3 class="step__heading">Middle</h3>
+    <a class="step__answer" href="#end" data-answer-path="yes">Yes</a>
+  </div>
+  <div class="step" id="end"><h3 class="step__heading">End</h3></div>
+  <div class="convivial-decision-flow__footer">
+    <button class="step__button step__button--back">Back</button>
+    <button class="step__button step__button--restart">Restart</button>
+  </div>
+</div>`;
+
+/**
+ * Get the IDs of the steps in the history of a flow.
+ * @param {ConvivialDecisionFlow} flow - The flow.
+ * @returns {Array} - The step IDs.
+ */
+function steps(flow) {
+  // Copy into an array of this realm, for deepStrictEqual.
+  return Array.from(flow.storageData.history, entry => entry.stepID);
+}
+
+test('the flow starts from the first step when the storage cannot be loaded', async () => {
+  const page = loadPage(html);
+  const flow = await createFlow(page, 'flow', {
+    storage: { load: () => Promise.reject(new Error('Offline')), save: () => {} }
+  });
+
+  assert.ok(page.logs.warn.some(message => message.startsWith('Cannot load convivial decision flow with ID flow from storage, starting from the first step.')), page.logs.warn.join('\n'));
+  assert.ok(page.document.getElementById('flow').classList.contains('df-initialized'));
+  assert.notStrictEqual(page.document.getElementById('start').style.display, 'none');
+
+  page.document.querySelector('#start .step__answer').click();
+  assert.deepStrictEqual(steps(flow), ['start', 'middle']);
+});
+
+test('answers chosen while the storage loads are ignored', async () => {
+  let resolve;
+  const saved = [];
+  const page = loadPage(html);
+  const flow = await createFlow(page, 'flow', {
+    storage: {
+      load: () => new Promise((done) => { resolve = done; }),
+      save: (namespace, data) => saved.push(data)
+    },
+    keyboard: true
+  });
+
+  page.document.querySelector('#start .step__answer').click();
+  page.document.getElementById('flow').dispatchEvent(new page.window.KeyboardEvent('keydown', { key: '1', bubbles: true }));
+  assert.deepStrictEqual(steps(flow), ['start']);
+  assert.deepStrictEqual(saved, []);
+
+  resolve({ history: [{ stepID: 'start', stepQuestion: '', stepAnswer: 'Yes', stepAnswerPath: 'yes' }, { stepID: 'middle', stepQuestion: '', stepAnswer: '' }], vars: {} });
+  await flow.ready;
+  await wait(page.window);
+  assert.deepStrictEqual(steps(flow), ['start', 'middle']);
+  assert.notStrictEqual(page.document.getElementById('middle').style.display, 'none');
+
+  page.document.querySelector('#middle .step__answer').click();
+  assert.deepStrictEqual(steps(flow), ['start', 'middle', 'end']);
+});
+
+const namespace = 'convivial-decision-flow.flow';
+const day = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the page with state in storage.
+ * @param {Object|null} stored - The stored data.
+ * @param {Object} [options] - The flow options.
+ * @returns {Promise<Object>} - The page, the flow and the storage data by namespace.
+ */
+async function restore(stored, options = {}) {
+  const data = { [namespace]: stored };
+  const page = loadPage(html);
+  const flow = await createFlow(page, 'flow', {
+    storage: { load: key => data[key] || null, save: (key, value) => { data[key] = value; } },
+    ...options
+  });
+  return { ...page, flow, data };
+}
+
+/**
+ * Stored state on the middle step.
+ * @param {Object} [fields] - Fields to add, e.g. version or savedAt.
+ * @returns {Object} - The stored data.
+ */
+function middle(fields = {}) {
+  return {
+    history: [{ stepID: 'start', stepQuestion: '', stepAnswer: 'Yes', stepAnswerPath: 'yes' }, { stepID: 'middle', stepQuestion: '', stepAnswer: '' }],
+    vars: { colour: 'red' },
+    schema: 1,
+    ...fields
+  };
+}
+
+test('the ttl counts from the last change, not the last visit', async () => {
+  const savedAt = Date.now() - 2 * day;
+  const { document, flow, data } = await restore(middle({ savedAt }), { ttl: 3 * day });
+
+  assert.deepStrictEqual(steps(flow), ['start', 'middle']);
+  assert.strictEqual(data[namespace].savedAt, savedAt);
+
+  document.querySelector('#middle .step__answer').click();
+  assert.ok(data[namespace].savedAt > savedAt);
+});
+
+test('state older than the ttl is discarded', async () => {
+  const { flow } = await restore(middle({ savedAt: Date.now() - 4 * day }), { ttl: 3 * day });
+  assert.deepStrictEqual(steps(flow), ['start']);
+  assert.deepStrictEqual({ ...flow.storageData.vars }, {});
+});
+
+test('older storage formats are upgraded', async () => {
+  const { flow, data } = await restore({ history: ['start', 'middle'], vars: { colour: 'red' } });
+  assert.deepStrictEqual(steps(flow), ['start', 'middle']);
+  assert.deepStrictEqual({ ...flow.storageData.history[1] }, { stepID: 'middle', stepQuestion: '', stepAnswer: '' });
+  assert.strictEqual(data[namespace].schema, 1);
+});
+
+test('migrations are followed from the stored version to the current one', async () => {
+  const applied = [];
+  const { flow, data } = await restore(middle({ version: '1' }), {
+    version: 3,
+    migrations: [
+      { from: 2, to: 3, migrate: (state) => { applied.push(2); return { ...state, vars: { ...state.vars, size: 'large' } }; } },
+      { from: 1, to: 2, migrate: (state) => { applied.push(1); return { ...state, vars: { shade: state.vars.colour } }; } }
+    ]
+  });
+
+  assert.deepStrictEqual(applied, [1, 2]);
+  assert.deepStrictEqual(steps(flow), ['start', 'middle']);
+  assert.deepStrictEqual({ ...flow.storageData.vars }, { shade: 'red', size: 'large' });
+  assert.strictEqual(data[namespace].version, '3');
+});
+
+test('onVersionChange decides when no migration leads to the current version', async () => {
+  const reset = await restore(middle({ version: '1' }), { version: 2 });
+  assert.deepStrictEqual(steps(reset.flow), ['start']);
+
+  const keep = await restore(middle({ version: '1' }), { version: 2, onVersionChange: 'keep' });
+  assert.deepStrictEqual(steps(keep.flow), ['start', 'middle']);
+
+  const calls = [];
+  const custom = await restore(middle({ version: '1' }), {
+    version: 2,
+    onVersionChange: (state, storedVersion, version) => {
+      calls.push([storedVersion, version]);
+      return { ...state, vars: {} };
+    }
+  });
+  assert.deepStrictEqual(calls, [['1', '2']]);
+  assert.deepStrictEqual(steps(custom.flow), ['start', 'middle']);
+  assert.deepStrictEqual({ ...custom.flow.storageData.vars }, {});
+});
+
+test('a failing migration starts over', async () => {
+  const { flow, logs } = await restore(middle({ version: '1' }), {
+    version: 2,
+    migrations: [{ from: 1, to: 2, migrate: () => { throw new Error('Broken'); } }]
+  });
+  assert.deepStrictEqual(steps(flow), ['start']);
+  assert.ok(logs.warn.some(message => message.startsWith('Cannot migrate the stored state of convivial decision flow with ID flow from version 1, starting over.')), logs.warn.join('\n'));
+});
@@ -0,0 +1,235 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { loadPage, createFlow } = require('./helpers');
+
+const html = `<div class="convivial-decision-flow" id="flow">
+  <div class="step" id="start">
+    <h3 class="step__heading">Start</h3>
+    <p class="step__question">Ready?</p>
+    <a class="step__answer" href="#end" data-answer-path="yes" data-df-set="ready=1">Yes</a>
+  </div>
+  <div class="step" id="end"><h3 class="step__heading">End</h3></div>
+  <div class="convivial-decision-flow__footer">
+    <button class="step__button step__button--back">Back</button>
+    <button class="step__button step__button--restart">Restart</button>
+  </div>
+</div>`;
+
+const namespace = 'convivial-decision-flow.flow.submissions';
+
+/**
+ * Load the page with a fake endpoint.
+ * @param {Array} responses - The status of every request in turn, 0 for a network error, or a promise of it.
+ *   Later requests get 200.
+ * @param {Object} [options] - The flow options, and storage and online to share between page loads.
+ * @returns {Promise<Object>} - The page, the flow, the requests, the retry delays and the submit events.
+ */
+async function setup(responses, { storage = memoryStorage(), online = { value: true }, ...options } = {}) {
+  const requests = [];
+  const delays = [];
+  const page = loadPage(html, {
+    beforeScript: (window) => {
+      window.fetch = (url, init) => {
+        requests.push({ url, method: init.method, headers: init.headers, body: JSON.parse(init.body) });
+        return Promise.resolve(responses.length ? responses.shift() : 200).then((status) => {
+          return status ? { ok: status < 400, status } : Promise.reject(new TypeError('Failed to fetch'));
+        });
+      };
+      Object.defineProperty(window.navigator, 'onLine', { get: () => online.value });
+      // Record the backoff, every retry waits a multiple of retryDelay.
+      const setTimeout = window.setTimeout;
+      window.setTimeout = (callback, ms, ...args) => {
+        if (ms && ms < 1000) {
+          delays.push(ms);
+        }
+        return setTimeout(callback, ms && ms < 1000 ? 0 : ms, ...args);
+      };
+    }
+  });
+  const events = [];
+  ['submit-success', 'submit-error', 'submit-queued'].forEach((type) => {
+    page.document.addEventListener('df:' + type, event => events.push({ type, id: event.detail.payload.id }));
+  });
+  const flow = await createFlow(page, 'flow', { storage, submit: { url: 'https://example.test/submit', retries: 2, retryDelay: 10 }, ...options });
+  return { ...page, flow, storage, online, requests, delays, events };
+}
+
+/**
+ * A storage adapter sharing its data between page loads.
+ * @param {boolean} [clear] - Whether the adapter implements clear().
+ * @returns {Object} - The adapter, with the stored data in data.
+ */
+function memoryStorage(clear = true) {
+  const storage = {
+    data: {},
+    load: namespace => (namespace in storage.data ? JSON.parse(storage.data[namespace]) : null),
+    save: (namespace, data) => {
+      storage.data[namespace] = JSON.stringify(data);
+    }
+  };
+  if (clear) {
+    storage.clear = (namespace) => {
+      delete storage.data[namespace];
+    };
+  }
+  return storage;
+}
+
+/**
+ * Answer the question, which completes the flow and submits the results.
+ * @param {Object} page - The page from setup().
+ * @returns {Promise} - Resolves once a submit event has been dispatched.
+ */
+async function complete(page) {
+  page.document.querySelector('#start .step__answer').click();
+  await until(() => page.events.length > 0);
+}
+
+/**
+ * Wait until a condition holds.
+ *
+ * Polls with the timers of Node, the page's are recorded as retry delays.
+ * @param {Function} condition - The condition.
+ * @returns {Promise} - Resolves once the condition holds, rejects after a second.
+ */
+async function until(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await sleep(10);
+  }
+  assert.ok(condition(), 'Timed out waiting for the submission.');
+}
+
+test('completing the flow submits the results', async () => {
+  const page = await setup([]);
+  await complete(page);
+
+  assert.strictEqual(page.requests.length, 1);
+  const [{ url, method, headers, body }] = page.requests;
+  assert.strictEqual(url, 'https://example.test/submit');
+  assert.strictEqual(method, 'POST');
+  assert.strictEqual(headers['Content-Type'], 'application/json');
+  assert.strictEqual(body.flow, 'flow');
+  assert.strictEqual(body.trigger, 'complete');
+  assert.deepStrictEqual(body.vars, { ready: 1 });
+  assert.deepStrictEqual(body.history.map(entry => entry.step), ['start', 'end']);
+  assert.deepStrictEqual(page.events, [{ type: 'submit-success', id: body.id }]);
+  assert.strictEqual(page.storage.data[namespace], undefined);
+});
+
+test('failed requests are retried with an exponential backoff', async () => {
+  const page = await setup([503, 0]);
+  await complete(page);
+
+  assert.strictEqual(page.requests.length, 3);
+  assert.deepStrictEqual(page.delays, [10, 20]);
+  // Every attempt sends the same submission, so the endpoint can ignore duplicates.
+  assert.strictEqual(new Set(page.requests.map(request => request.body.id)).size, 1);
+  assert.deepStrictEqual(page.events.map(event => event.type), ['submit-success']);
+});
+
+test('refused submissions are dropped without a retry', async () => {
+  const page = await setup([422]);
+  await complete(page);
+
+  assert.strictEqual(page.requests.length, 1);
+  assert.deepStrictEqual(page.events.map(event => event.type), ['submit-error']);
+  assert.strictEqual(page.storage.data[namespace], undefined);
+});
+
+test('a submission stays queued when the retries run out, and is sent when the browser is back online', async () => {
+  const page = await setup([500, 500, 500]);
+  await complete(page);
+
+  assert.strictEqual(page.requests.length, 3);
+  assert.deepStrictEqual(page.events.map(event => event.type), ['submit-queued']);
+  assert.deepStrictEqual(JSON.parse(page.storage.data[namespace]).map(payload => payload.id), [page.events[0].id]);
+
+  page.window.dispatchEvent(new page.window.Event('online'));
+  await until(() => page.events.length === 2);
+  assert.deepStrictEqual(page.events[1], { type: 'submit-success', id: page.events[0].id });
+  assert.strictEqual(page.storage.data[namespace], undefined);
+});
+
+test('submissions made offline are sent the next time the flow is initialized', async () => {
+  const online = { value: false };
+  const offline = await setup([], { online });
+  await complete(offline);
+
+  assert.strictEqual(offline.requests.length, 0);
+  assert.deepStrictEqual(offline.events.map(event => event.type), ['submit-queued']);
+
+  online.value = true;
+  const next = await setup([], { storage: offline.storage, online });
+  await until(() => next.events.length === 1);
+  assert.strictEqual(next.requests.length, 1);
+  assert.deepStrictEqual(next.events, [{ type: 'submit-success', id: offline.events[0].id }]);
+  assert.strictEqual(offline.storage.data[namespace], undefined);
+});
+
+test('storage adapters without clear() keep an empty queue', async () => {
+  const page = await setup([], { storage: memoryStorage(false) });
+  await complete(page);
+  await page.flow.flushing;
+
+  assert.deepStrictEqual(page.events.map(event => event.type), ['submit-success']);
+  assert.strictEqual(page.storage.data[namespace], '[]');
+  assert.deepStrictEqual(page.logs.warn, []);
+});
+
+test('a submission made while the queue is being sent is sent after it', async () => {
+  let respond;
+  const page = await setup([new Promise((resolve) => { respond = resolve; })]);
+
+  page.flow.submitResults('first');
+  await until(() => page.requests.length === 1);
+  const second = page.flow.submitResults('second');
+  await sleep(10);
+  respond(200);
+  await second;
+  await until(() => page.events.length === 2);
+
+  assert.deepStrictEqual(page.requests.map(request => request.body.trigger), ['first', 'second']);
+  assert.deepStrictEqual(page.events.map(event => event.type), ['submit-success', 'submit-success']);
+  assert.strictEqual(page.storage.data[namespace], undefined);
+});
+
+test('submissions made at once are all sent', async () => {
+  const page = await setup([]);
+
+  await Promise.all([page.flow.submitResults('first'), page.flow.submitResults('second'), page.flow.submitResults('third')]);
+  await until(() => page.events.length === 3);
+
+  assert.deepStrictEqual(page.requests.map(request => request.body.trigger), ['first', 'second', 'third']);
+  assert.strictEqual(page.storage.data[namespace], undefined);
+});
+
+test('submissions that cannot be stored are reported, not thrown', async () => {
+  const storage = memoryStorage();
+  const page = await setup([], { storage });
+  const save = storage.save;
+  storage.save = (key, data) => {
+    if (key === namespace) {
+      throw new Error('Quota exceeded');
+    }
+    save(key, data);
+  };
+
+  await assert.rejects(page.flow.submitResults('manual'), /Quota exceeded/);
+  page.document.querySelector('#start .step__answer').click();
+  await until(() => page.logs.warn.some(message => message.startsWith('Cannot queue the results of convivial decision flow with ID flow.')));
+});
+
+test('destroying the flow cancels the next retry', async () => {
+  // Retries of a second or more are not shortened by setup().
+  const page = await setup([500], { submit: { url: 'https://example.test/submit', retries: 1, retryDelay: 1000 } });
+  page.flow.submitResults('manual');
+  await until(() => page.requests.length === 1);
+  page.flow.destroy();
+  await sleep(1100);
+
+  assert.strictEqual(page.requests.length, 1);
+  assert.deepStrictEqual(page.events, []);
+});